@@ -1,12 +1,13 @@
-const axios = require('axios');
+const { createProvider, PROVIDERS } = require('./llm-providers');
+const ConversationMemory = require('./conversation-memory');
+const KnowledgeBase = require('./knowledge-base');
 
 class AIReply {
     constructor() {
-        this.apiKey = process.env.GEMINI_API_KEY;
-        this.model = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
-        this.apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`;
+        // AI_PROVIDER picks the deployment default; sessions may override it
+        this.providerName = process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'mock');
+        this.providers = new Map();
         
-        this.conversationHistory = new Map(); // Store conversation history
         this.rateLimits = new Map(); // Rate limiting per user
         
         // AI personality and behavior settings
@@ -14,6 +15,20 @@ class AIReply {
         this.personality = process.env.BOT_PERSONALITY || 'friendly_helpful_human_like';
         this.fallbackReply = process.env.FALLBACK_REPLY || 'Sorry yaar, thoda issue ho gaya. Tum bolo kya chahiye?';
         
+        // Per-session overrides of the settings above, see getSessionConfig()
+        this.settings = null;
+        
+        // Number of previous exchanges sent to the model with every message
+        this.historyDepth = parseInt(process.env.AI_HISTORY_DEPTH) || 3;
+        
+        // Persistent per-contact memory; older turns are folded into a summary
+        this.memory = new ConversationMemory({
+            keepRecent: Math.max(parseInt(process.env.MEMORY_KEEP_RECENT) || 10, this.historyDepth)
+        });
+        
+        // Uploaded FAQs and docs; matching passages are added to the prompt
+        this.knowledgeBase = new KnowledgeBase();
+        
         // Language detection patterns
         this.languagePatterns = {
             hindi: /[\u0900-\u097F]/,
@@ -30,12 +45,17 @@ class AIReply {
     }
     
     initializeSystem() {
-        if (!this.apiKey) {
-            console.error('❌ GEMINI_API_KEY not found in environment variables');
-            throw new Error('Gemini API key is required');
+        try {
+            this.provider = this.createProviderInstance(this.providerName);
+        } catch (error) {
+            console.error(`❌ AI provider "${this.providerName}" unavailable: ${error.message}`);
+            console.log('⚠️ Falling back to mock AI provider');
+            this.providerName = 'mock';
+            this.provider = this.createProviderInstance('mock');
         }
         
         console.log('🤖 AI Reply system initialized');
+        console.log(`🧠 Provider: ${this.provider.name} (${this.provider.model})`);
         console.log(`🎭 Personality: ${this.personality}`);
         console.log(`🌍 Multi-language support enabled`);
         
@@ -45,45 +65,210 @@ class AIReply {
         }, 3600000); // 1 hour
     }
     
+    async attachStorage({ dbPool, localStore, settings }) {
+        this.settings = settings || null;
+        this.memory.setStorage({ dbPool, localStore });
+        console.log(`🧠 Conversation memory backed by ${dbPool ? 'MySQL' : 'local store'}`);
+        
+        this.knowledgeBase.setStorage({ dbPool, localStore });
+        await this.knowledgeBase.load();
+    }
+    
+    getSessionConfig(sessionId) {
+        const overrides = (this.settings && sessionId)
+            ? this.settings.get(`session:${sessionId}`, 'bot_config', {})
+            : {};
+            
+        return {
+            botName: this.botName,
+            persona: null,
+            systemPrompts: {},
+            fallbackReply: null,
+            model: null,
+            temperature: null,
+            maxOutputTokens: null,
+            ownerNumbers: (process.env.OWNER_NUMBERS || '').split(',').map(number => number.trim()).filter(Boolean),
+            ...overrides
+        };
+    }
+    
+    // Returns an error message for invalid changes, or null
+    validateSessionConfig(changes) {
+        const languages = [...Object.keys(this.languagePatterns), 'default'];
+        const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+        const rules = {
+            botName: value => isText(value, 100) || 'botName must be a string of up to 100 characters',
+            persona: value => isText(value, 2000) || 'persona must be a string of up to 2000 characters',
+            fallbackReply: value => isText(value, 1000) || 'fallbackReply must be a string of up to 1000 characters',
+            model: value => isText(value, 100) || 'model must be a string of up to 100 characters',
+            temperature: value => (typeof value === 'number' && value >= 0 && value <= 2) || 'temperature must be a number between 0 and 2',
+            maxOutputTokens: value => (Number.isInteger(value) && value >= 1 && value <= 8192) || 'maxOutputTokens must be an integer between 1 and 8192',
+            ownerNumbers: value => (Array.isArray(value) && value.every(number => /^\d{6,15}$/.test(number))) || 'ownerNumbers must be a list of phone numbers in international format without +',
+            systemPrompts: value => {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    return 'systemPrompts must be an object keyed by language';
+                }
+                for (const [language, prompt] of Object.entries(value)) {
+                    if (!languages.includes(language)) {
+                        return `Unknown language in systemPrompts: ${language}`;
+                    }
+                    if (prompt !== null && !isText(prompt, 4000)) {
+                        return `systemPrompts.${language} must be a string of up to 4000 characters`;
+                    }
+                }
+                return true;
+            }
+        };
+        
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return 'Config must be an object';
+        }
+        
+        for (const [field, value] of Object.entries(changes)) {
+            if (!rules[field]) {
+                return `Unknown config field: ${field}`;
+            }
+            // null resets the field to the deployment default
+            const result = value === null ? true : rules[field](value);
+            if (result !== true) {
+                return result;
+            }
+        }
+        
+        return null;
+    }
+    
+    async updateSessionConfig(sessionId, changes) {
+        const overrides = { ...this.settings.get(`session:${sessionId}`, 'bot_config', {}) };
+        
+        for (const [field, value] of Object.entries(changes)) {
+            if (field === 'systemPrompts' && value !== null) {
+                const prompts = { ...overrides.systemPrompts, ...value };
+                Object.keys(prompts).forEach(language => prompts[language] === null && delete prompts[language]);
+                overrides.systemPrompts = prompts;
+            } else if (value === null) {
+                delete overrides[field];
+            } else {
+                overrides[field] = value;
+            }
+        }
+        
+        await this.settings.set(`session:${sessionId}`, 'bot_config', overrides);
+        return this.getSessionConfig(sessionId);
+    }
+    
+    async resetSessionConfig(sessionId) {
+        await this.settings.remove(`session:${sessionId}`, 'bot_config');
+        return this.getSessionConfig(sessionId);
+    }
+    
+    isKnownProvider(name) {
+        return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+    }
+    
+    createProviderInstance(name) {
+        const provider = createProvider(name);
+        this.providers.set(name, provider);
+        return provider;
+    }
+    
+    getProvider(name) {
+        if (!name || name === this.providerName) {
+            return this.provider;
+        }
+        
+        if (this.providers.has(name)) {
+            return this.providers.get(name);
+        }
+        
+        try {
+            return this.createProviderInstance(name);
+        } catch (error) {
+            console.error(`❌ AI provider "${name}" unavailable, using ${this.providerName}: ${error.message}`);
+            return this.provider;
+        }
+    }
+    
+    // Sets context.outcome to 'ai', 'ai_error' (the fallback reply is returned) or 'rate_limited'
     async generateReply(message, fromNumber, context = {}) {
+        const config = this.getSessionConfig(context.sessionId);
+        
         try {
             console.log(`🤖 Generating reply for ${fromNumber}: ${message.substring(0, 50)}...`);
             
             // Rate limiting check
             if (!this.checkRateLimit(fromNumber)) {
                 console.log(`⏱️ Rate limited: ${fromNumber}`);
+                context.outcome = 'rate_limited';
                 return null;
             }
             
-            // Detect message language
-            const language = this.detectLanguage(message);
+            // Detect message language (media without a caption passes the contact's usual one)
+            const language = context.language || this.detectLanguage(message);
             console.log(`🌍 Detected language: ${language}`);
             
-            // Get conversation history
-            const history = this.getConversationHistory(fromNumber);
+            // Get recent turns and the long-term summary for this contact (or the whole group)
+            const conversationId = context.conversationId || fromNumber;
+            const memory = await this.memory.get(context.sessionId, conversationId);
+            
+            // Look up business information relevant to this message
+            const knowledge = this.knowledgeBase.search(message, {
+                sessionId: context.sessionId,
+                ownerId: context.ownerId
+            });
+            
+            // Use the session's provider or the deployment default
+            const provider = this.getProvider(context.provider);
+            
+            // Files the model cannot read are mentioned instead of sent
+            const attachments = (context.attachments || []).filter(attachment => provider.supportsAttachment(attachment.mimeType.split(';')[0]));
+            const skipped = (context.attachments || []).filter(attachment => !attachments.includes(attachment));
+            // Several people share a group conversation, so their messages carry the sender's name
+            const speaker = context.group ? `${context.senderName}: ` : '';
+            let userMessage = speaker + message;
+            if (skipped.length > 0) {
+                const names = skipped.map(attachment => attachment.filename || attachment.mimeType).join(', ');
+                userMessage += `\n(The customer also sent ${names}, which you cannot open. Ask them to describe it.)`;
+            }
             
             // Build prompt
-            const prompt = this.buildPrompt(message, language, history, context);
+            const prompt = this.buildPrompt(userMessage, language, memory, { ...context, attachments }, knowledge);
             
-            // Generate AI response
-            const aiResponse = await this.callGeminiAPI(prompt);
+            const aiResponse = await this.callProvider(provider, prompt, this.getGenerationOptions(config));
             
             if (aiResponse) {
                 // Save to conversation history
-                this.updateConversationHistory(fromNumber, message, aiResponse, language);
+                await this.updateConversationHistory(context.sessionId, conversationId, speaker + (context.historyText || message), aiResponse, language, provider);
                 
                 console.log(`✅ AI reply generated: ${aiResponse.substring(0, 50)}...`);
+                if (knowledge.length > 0) {
+                    const sources = knowledge.map(passage => `"${passage.title}" (${passage.documentId}, score ${passage.score})`);
+                    console.log(`📚 Reply to ${fromNumber} used: ${sources.join(', ')}`);
+                }
+                context.outcome = 'ai';
                 return aiResponse;
             }
             
-            return this.getFallbackReply(language);
+            context.outcome = 'ai_error';
+            return this.getFallbackReply(language, config);
             
         } catch (error) {
             console.error('❌ AI reply generation failed:', error);
-            return this.getFallbackReply('hinglish');
+            context.outcome = 'ai_error';
+            return this.getFallbackReply('hinglish', config);
         }
     }
     
+    getGenerationOptions(config) {
+        const options = {};
+        ['model', 'temperature', 'maxOutputTokens'].forEach(field => {
+            if (config[field] !== null && config[field] !== undefined) {
+                options[field] = config[field];
+            }
+        });
+        return options;
+    }
+    
     detectLanguage(text) {
         // Remove URLs, numbers, and special characters for better detection
         const cleanText = text.replace(/https?:\/\/[^\s]+/g, '').replace(/\d+/g, '').trim();
@@ -107,46 +292,68 @@ class AIReply {
         return 'hinglish'; // Default to hinglish for mixed content
     }
     
-    buildPrompt(message, language, history, context) {
+    buildPrompt(message, language, memory, context, knowledge = []) {
+        const config = this.getSessionConfig(context.sessionId);
+        const botName = config.botName;
+        
         const systemPrompts = {
-            hinglish: `You are a friendly WhatsApp assistant named ${this.botName}. Reply in natural Hinglish (Hindi + English mix) like a real Indian friend would. Be conversational, helpful, and use common Hindi words mixed with English. Keep replies short and casual, max 2-3 sentences. Use emojis naturally but don't overdo it.`,
+            hinglish: `You are a friendly WhatsApp assistant named ${botName}. Reply in natural Hinglish (Hindi + English mix) like a real Indian friend would. Be conversational, helpful, and use common Hindi words mixed with English. Keep replies short and casual, max 2-3 sentences. Use emojis naturally but don't overdo it.`,
             
-            hindi: `आप ${this.botName} नाम के WhatsApp असिस्टेंट हैं। हिंदी में प्राकृतिक और मैत्रीपूर्ण तरीके से जवाब दें। संक्षिप्त और सहायक रहें।`,
+            hindi: `आप ${botName} नाम के WhatsApp असिस्टेंट हैं। हिंदी में प्राकृतिक और मैत्रीपूर्ण तरीके से जवाब दें। संक्षिप्त और सहायक रहें।`,
             
-            english: `You are ${this.botName}, a WhatsApp assistant. Reply in clear, friendly English. Be conversational and helpful. Keep responses brief and natural.`,
+            english: `You are ${botName}, a WhatsApp assistant. Reply in clear, friendly English. Be conversational and helpful. Keep responses brief and natural.`,
             
-            urdu: `آپ ${this.botName} نامی WhatsApp اسسٹنٹ ہیں۔ اردو میں دوستانہ انداز میں جواب دیں۔ مختصر اور مددگار رہیں۔`,
+            urdu: `آپ ${botName} نامی WhatsApp اسسٹنٹ ہیں۔ اردو میں دوستانہ انداز میں جواب دیں۔ مختصر اور مددگار رہیں۔`,
             
-            bengali: `আপনি ${this.botName} নামের WhatsApp সহায়ক। বাংলায় বন্ধুত্বপূর্ণ ভাবে উত্তর দিন। সংক্ষিপ্ত এবং সহায়ক থাকুন।`,
+            bengali: `আপনি ${botName} নামের WhatsApp সহায়ক। বাংলায় বন্ধুত্বপূর্ণ ভাবে উত্তর দিন। সংক্ষিপ্ত এবং সহায়ক থাকুন।`,
             
-            tamil: `நீங்கள் ${this.botName} என்ற WhatsApp உதவியாளர். தமிழில் நட்பான முறையில் பதிலளிக்கவும். சுருக்கமாகவும் உதவிகரமாகவும் இருங்கள்।`,
+            tamil: `நீங்கள் ${botName} என்ற WhatsApp உதவியாளர். தமிழில் நட்பான முறையில் பதிலளிக்கவும். சுருக்கமாகவும் உதவிகரமாகவும் இருங்கள்।`,
             
-            gujarati: `તમે ${this.botName} નામના WhatsApp સહાયક છો। ગુજરાતીમાં મિત્રતાપૂર્ણ રીતે જવાબ આપો। ટૂંકા અને મદદરૂપ રહો।`
+            gujarati: `તમે ${botName} નામના WhatsApp સહાયક છો। ગુજરાતીમાં મિત્રતાપૂર્ણ રીતે જવાબ આપો। ટૂંકા અને મદદરૂપ રહો।`
         };
         
-        const systemPrompt = systemPrompts[language] || systemPrompts.hinglish;
-        
-        let contextualPrompt = systemPrompt;
-        
-        // Add conversation history context
-        if (history.length > 0) {
-            contextualPrompt += '\n\nConversation history (last few messages):';
-            history.slice(-3).forEach(entry => {
-                contextualPrompt += `\nUser: ${entry.userMessage}`;
-                contextualPrompt += `\nYou: ${entry.aiReply}`;
-            });
+        // Session prompts may use {botName} as a placeholder
+        const customPrompt = config.systemPrompts[language] || config.systemPrompts.default;
+        const systemPrompt = customPrompt
+            ? customPrompt.replace(/\{botName\}/g, botName)
+            : systemPrompts[language] || systemPrompts.hinglish;
+            
+        let systemInstruction = systemPrompt;
+        if (config.persona) {
+            systemInstruction += `\n\nPersona: ${config.persona}`;
         }
         
         // Add special context handling
-        contextualPrompt += this.getContextualInstructions(message, language);
+        systemInstruction += this.getContextualInstructions(message, language, knowledge.length > 0);
+        if (knowledge.length > 0) {
+            const passages = knowledge.map(passage => `[${passage.title}]\n${passage.text}`).join('\n\n');
+            systemInstruction += `\n\nBusiness information (answer from this, never invent prices or details that are not here):\n${passages}`;
+        }
+        if (context.group) {
+            systemInstruction += `\n\nYou are in the WhatsApp group "${context.group.name}". Several people talk here and each message starts with the sender's name. This message is from ${context.senderName}; answer them, using their name when it helps. Keep it short.`;
+        }
+        if (memory.summary) {
+            systemInstruction += `\n\nWhat you remember about ${context.group ? 'this group' : 'this person'} from earlier conversations:\n${memory.summary}`;
+        }
         
-        contextualPrompt += `\n\nUser's current message: ${message}`;
-        contextualPrompt += `\n\nRespond naturally in ${language} as a helpful friend:`;
+        systemInstruction += `\n\nRespond naturally in ${language} as a helpful friend.`;
         
-        return contextualPrompt;
+        // History goes as real turns so user text can never pose as the bot
+        const messages = [];
+        memory.turns.slice(-this.historyDepth).forEach(entry => {
+            messages.push({ role: 'user', content: entry.userMessage });
+            messages.push({ role: 'assistant', content: entry.aiReply });
+        });
+        if (context.attachments && context.attachments.length > 0) {
+            messages.push({ role: 'user', content: message, attachments: context.attachments });
+        } else {
+            messages.push({ role: 'user', content: message });
+        }
+        
+        return { systemInstruction, messages };
     }
     
-    getContextualInstructions(message, language) {
+    getContextualInstructions(message, language, hasKnowledge = false) {
         let instructions = '';
         
         // Check for common patterns and add appropriate instructions
@@ -157,7 +364,9 @@ class AIReply {
         }
         
         if (lowerMessage.includes('price') || lowerMessage.includes('cost') || lowerMessage.includes('paisa') || lowerMessage.includes('টাকা')) {
-            instructions += '\nUser is asking about pricing. Be helpful but mention you need more context.';
+            instructions += hasKnowledge
+                ? '\nUser is asking about pricing. Quote prices only from the business information below.'
+                : '\nUser is asking about pricing. Be helpful but mention you need more context.';
         }
         
         if (lowerMessage.includes('time') || lowerMessage.includes('samay') || lowerMessage.includes('সময়')) {
@@ -177,67 +386,14 @@ class AIReply {
         return instructions;
     }
     
-    async callGeminiAPI(prompt) {
+    async callProvider(provider, request, options = {}) {
         try {
-            const requestBody = {
-                contents: [{
-                    parts: [{
-                        text: prompt
-                    }]
-                }],
-                generationConfig: {
-                    temperature: 0.8,
-                    topK: 40,
-                    topP: 0.95,
-                    maxOutputTokens: 200,
-                    candidateCount: 1
-                },
-                safetySettings: [
-                    {
-                        category: 'HARM_CATEGORY_HARASSMENT',
-                        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-                    },
-                    {
-                        category: 'HARM_CATEGORY_HATE_SPEECH',
-                        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-                    },
-                    {
-                        category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-                        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-                    },
-                    {
-                        category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-                        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-                    }
-                ]
-            };
-            
-            const response = await axios.post(this.apiUrl, requestBody, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Goog-Api-Key': this.apiKey
-                },
-                timeout: 15000 // 15 seconds timeout
-            });
-            
-            if (response.data && response.data.candidates && response.data.candidates[0]) {
-                const aiReply = response.data.candidates[0].content.parts[0].text.trim();
-                
-                // Clean up the response
-                return this.cleanAIResponse(aiReply);
-            }
-            
-            console.log('⚠️ No valid response from Gemini API');
-            return null;
+            const aiReply = await provider.generate(request, options);
             
+            // Clean up the response
+            return aiReply ? this.cleanAIResponse(aiReply) : null;
         } catch (error) {
-            if (error.response) {
-                console.error('❌ Gemini API error:', error.response.status, error.response.data);
-            } else if (error.request) {
-                console.error('❌ Gemini API network error:', error.message);
-            } else {
-                console.error('❌ Gemini API setup error:', error.message);
-            }
+            console.error(`❌ ${provider.name} provider error:`, error.message);
             return null;
         }
     }
@@ -262,26 +418,52 @@ class AIReply {
         return cleaned;
     }
     
-    getConversationHistory(fromNumber) {
-        return this.conversationHistory.get(fromNumber) || [];
+    // Language of the contact's last message, for replies that have no text to detect from
+    async getPreferredLanguage(sessionId, fromNumber) {
+        const memory = await this.memory.get(sessionId, fromNumber);
+        const lastTurn = memory.turns[memory.turns.length - 1];
+        return (lastTurn && lastTurn.language) || process.env.DEFAULT_LANGUAGE || 'hinglish';
     }
     
-    updateConversationHistory(fromNumber, userMessage, aiReply, language) {
-        const history = this.getConversationHistory(fromNumber);
-        
-        history.push({
+    async getConversationHistory(sessionId, fromNumber) {
+        const memory = await this.memory.get(sessionId, fromNumber);
+        return memory.turns;
+    }
+    
+    async updateConversationHistory(sessionId, fromNumber, userMessage, aiReply, language, provider = this.provider) {
+        const memory = await this.memory.addTurn(sessionId, fromNumber, {
             userMessage,
             aiReply,
-            language,
-            timestamp: new Date().toISOString()
+            language
         });
         
-        // Keep only last 10 messages to prevent memory issues
-        if (history.length > 10) {
-            history.shift();
+        // Summarize in the background so the reply is not delayed
+        if (this.memory.needsCompaction(memory)) {
+            this.memory.compact(memory, (summary, turns) => this.summarizeTurns(provider, summary, turns))
+                .catch(error => console.error('❌ Memory compaction failed:', error.message));
         }
+    }
+    
+    async summarizeTurns(provider, previousSummary, turns) {
+        const transcript = turns
+            .map(turn => `Customer: ${turn.userMessage}\nAssistant: ${turn.aiReply}`)
+            .join('\n');
+        
+        const request = {
+            systemInstruction: 'You keep long-term memory notes about a WhatsApp contact. Merge the existing notes with the new conversation. Keep only durable facts: name, preferences, orders, open issues and promises made. Use at most 8 short bullet points in English. Reply with the notes only.',
+            messages: [{
+                role: 'user',
+                content: `Existing notes:\n${previousSummary || 'None'}\n\nNew conversation:\n${transcript}`
+            }]
+        };
         
-        this.conversationHistory.set(fromNumber, history);
+        const summary = await provider.generate(request, {
+            purpose: 'summary',
+            temperature: 0.2,
+            maxOutputTokens: 300
+        });
+        
+        return summary ? summary.trim().substring(0, 1500) : null;
     }
     
     checkRateLimit(fromNumber) {
@@ -295,7 +477,7 @@ class AIReply {
         }
         
         // Check if limit exceeded (max 2 messages per minute)
-        if (userLimits.count >= parseInt(process.env.MESSAGE_RATE_LIMIT) || 2) {
+        if (userLimits.count >= (parseInt(process.env.MESSAGE_RATE_LIMIT) || 2)) {
             return false;
         }
         
@@ -305,7 +487,11 @@ class AIReply {
         return true;
     }
     
-    getFallbackReply(language) {
+    getFallbackReply(language, config = null) {
+        if (config && config.fallbackReply) {
+            return config.fallbackReply;
+        }
+        
         const fallbacks = {
             hinglish: 'Sorry yaar, thoda issue ho gaya. Tum bolo kya chahiye? 😅',
             hindi: 'माफ करें, कुछ समस्या हो गई। आप बताएं क्या चाहिए? 😅',
@@ -323,26 +509,11 @@ class AIReply {
         const now = Date.now();
         const maxAge = 24 * 60 * 60 * 1000; // 24 hours
         
-        let cleanedCount = 0;
-        
-        for (const [fromNumber, history] of this.conversationHistory.entries()) {
-            if (history.length === 0) {
-                this.conversationHistory.delete(fromNumber);
-                cleanedCount++;
-                continue;
-            }
-            
-            const lastMessage = history[history.length - 1];
-            const messageAge = now - new Date(lastMessage.timestamp).getTime();
-            
-            if (messageAge > maxAge) {
-                this.conversationHistory.delete(fromNumber);
-                cleanedCount++;
-            }
-        }
+        // Memory stays in storage; only idle contacts leave the cache
+        const cleanedCount = this.memory.evictIdle(maxAge);
         
         if (cleanedCount > 0) {
-            console.log(`🧹 Cleaned up ${cleanedCount} old conversations`);
+            console.log(`🧹 Evicted ${cleanedCount} idle conversations from cache`);
         }
         
         // Also cleanup rate limits
@@ -355,10 +526,11 @@ class AIReply {
     
     // Get conversation stats
     getStats() {
+        const memories = this.memory.getCachedMemories();
+        
         return {
-            activeConversations: this.conversationHistory.size,
-            totalMessages: Array.from(this.conversationHistory.values())
-                .reduce((sum, history) => sum + history.length, 0),
+            activeConversations: memories.length,
+            totalMessages: memories.reduce((sum, memory) => sum + memory.turns.length, 0),
             rateLimitedUsers: this.rateLimits.size,
             languages: this.getLanguageStats()
         };
@@ -367,8 +539,8 @@ class AIReply {
     getLanguageStats() {
         const languageCounts = {};
         
-        for (const history of this.conversationHistory.values()) {
-            for (const entry of history) {
+        for (const memory of this.memory.getCachedMemories()) {
+            for (const entry of memory.turns) {
                 languageCounts[entry.language] = (languageCounts[entry.language] || 0) + 1;
             }
         }
@@ -376,42 +548,6 @@ class AIReply {
         return languageCounts;
     }
     
-    // Handle special commands
-    handleSpecialCommands(message, fromNumber) {
-        const lowerMessage = message.toLowerCase().trim();
-        
-        // Help command
-        if (lowerMessage === '/help' || lowerMessage === 'help' || lowerMessage === 'मदद') {
-            return this.getHelpMessage(this.detectLanguage(message));
-        }
-        
-        // Clear history command
-        if (lowerMessage === '/clear' || lowerMessage === 'clear history') {
-            this.conversationHistory.delete(fromNumber);
-            return 'Conversation history cleared! 🧹';
-        }
-        
-        // Status command
-        if (lowerMessage === '/status') {
-            const stats = this.getStats();
-            return `Bot Status:\n✅ Active\n💬 ${stats.activeConversations} conversations\n📊 ${stats.totalMessages} total messages`;
-        }
-        
-        return null; // No special command found
-    }
-    
-    getHelpMessage(language) {
-        const helpMessages = {
-            hinglish: `🤖 ${this.botName} Help:\n\n📱 Main features:\n• Natural conversation in multiple languages\n• Smart replies with context\n• Remembers our chat history\n\n🔧 Commands:\n/help - Show this help\n/clear - Clear chat history\n/status - Bot status\n\n💬 Just chat normally, I'll understand! 😊`,
-            
-            hindi: `🤖 ${this.botName} सहायता:\n\n📱 मुख्य विशेषताएं:\n• कई भाषाओं में प्राकृतिक बातचीत\n• संदर्भ के साथ स्मार्ट उत्तर\n• चैट इतिहास याद रखता है\n\n🔧 कमांड:\n/help - यह सहायता दिखाएं\n/clear - चैट इतिहास साफ़ करें\n/status - बॉट स्थिति\n\n💬 बस सामान्य रूप से चैट करें, मैं समझ जाऊंगा! 😊`,
-            
-            english: `🤖 ${this.botName} Help:\n\n📱 Main features:\n• Natural conversation in multiple languages\n• Smart contextual replies\n• Remembers chat history\n\n🔧 Commands:\n/help - Show this help\n/clear - Clear chat history\n/status - Bot status\n\n💬 Just chat normally, I understand multiple languages! 😊`
-        };
-        
-        return helpMessages[language] || helpMessages.hinglish;
-    }
-    
     // Advanced language processing
     async processAdvancedLanguage(message, language) {
         // Handle code-switching (language mixing within same message)
@@ -448,33 +584,12 @@ class AIReply {
         return 'neutral';
     }
     
-    // Context-aware reply generation
-    async generateContextAwareReply(message, fromNumber, context = {}) {
-        // Check for special commands first
-        const specialCommand = this.handleSpecialCommands(message, fromNumber);
-        if (specialCommand) {
-            return specialCommand;
-        }
-        
-        // Analyze sentiment
-        const sentiment = this.analyzeSentiment(message);
-        context.sentiment = sentiment;
-        
-        // Process language
-        const language = this.detectLanguage(message);
-        const advancedLang = await this.processAdvancedLanguage(message, language);
-        context.languageAnalysis = advancedLang;
-        
-        return await this.generateReply(message, fromNumber, context);
-    }
-    
     // Health check
     healthCheck() {
         return {
             status: 'healthy',
-            apiKey: !!this.apiKey,
-            model: this.model,
-            activeConversations: this.conversationHistory.size,
+            ...this.provider.healthCheck(),
+            activeConversations: this.memory.cache.size,
             rateLimitedUsers: this.rateLimits.size,
             lastCleanup: this.lastCleanup || null
         };
@@ -483,7 +598,7 @@ class AIReply {
     // Graceful shutdown
     shutdown() {
         console.log('🤖 AI Reply system shutting down...');
-        this.conversationHistory.clear();
+        this.memory.cache.clear();
         this.rateLimits.clear();
         console.log('✅ AI Reply system shutdown complete');
     }
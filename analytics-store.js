@@ -0,0 +1,371 @@
+const { isValidTimezone, getZonedParts } = require('./time-utils');
+
+const FLUSH_INTERVAL = 60 * 1000;
+// Latency samples kept per session and day; beyond this a random sample is kept
+const MAX_LATENCY_SAMPLES = 5000;
+// Incoming messages that get no reply within this time are no longer waited for
+const PENDING_TTL = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Per-day, per-session bot metrics. Counters live in memory and are written out every minute;
+// the day's rows are read back on start so a restart does not reset them.
+// Days follow ANALYTICS_TIMEZONE (UTC by default).
+class AnalyticsStore {
+    constructor() {
+        this.dbPool = null;
+        this.localStore = null;
+        this.timer = null;
+        
+        this.timezone = process.env.ANALYTICS_TIMEZONE || 'UTC';
+        if (!isValidTimezone(this.timezone)) {
+            console.error(`❌ Invalid ANALYTICS_TIMEZONE "${this.timezone}", using UTC`);
+            this.timezone = 'UTC';
+        }
+        
+        this.buckets = new Map(); // `${date}:${sessionId}` -> bucket
+        this.dirty = new Set();
+        this.pending = new Map(); // incoming message id -> { receivedAt }
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    async start() {
+        const today = this.getDate();
+        const buckets = await this.loadBuckets({ from: today, to: today });
+        buckets.forEach(bucket => {
+            this.buckets.set(this.getKey(bucket.date, bucket.sessionId), {
+                ...bucket,
+                // Rows saved before latency_count existed only know their samples
+                latencyCount: Math.max(bucket.latencyCount || 0, bucket.latencies.length),
+                contacts: new Set(bucket.contacts)
+            });
+        });
+        
+        this.timer = setInterval(() => {
+            this.flush().catch(error => console.error('❌ Analytics flush failed:', error.message));
+        }, FLUSH_INTERVAL);
+        console.log(`📊 Analytics started (${this.timezone}), ${buckets.length} sessions active today`);
+    }
+    
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        await this.flush();
+    }
+    
+    getKey(date, sessionId) {
+        return `${date}:${sessionId}`;
+    }
+    
+    // YYYY-MM-DD in the analytics timezone
+    getDate(date = new Date()) {
+        const { year, month, day } = getZonedParts(date, this.timezone);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+    
+    // Dates are YYYY-MM-DD; the range ends today and covers a week unless given.
+    // Returns { from, to } or { error }.
+    parseRange({ from, to } = {}) {
+        const isDate = value => DATE_PATTERN.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+            new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+        const shift = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+        
+        if (to !== undefined && !isDate(to)) {
+            return { error: 'to must be a date (YYYY-MM-DD)' };
+        }
+        if (from !== undefined && !isDate(from)) {
+            return { error: 'from must be a date (YYYY-MM-DD)' };
+        }
+        
+        const end = to || this.getDate();
+        const start = from || shift(end, -6);
+        if (start > end) {
+            return { error: 'from must not be after to' };
+        }
+        if (shift(start, MAX_RANGE_DAYS) <= end) {
+            return { error: `The range can cover at most ${MAX_RANGE_DAYS} days` };
+        }
+        
+        return { from: start, to: end };
+    }
+    
+    getBucket(session) {
+        const date = this.getDate();
+        const key = this.getKey(date, session.id);
+        
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, {
+                date,
+                sessionId: session.id,
+                ownerId: session.ownerId || null,
+                inbound: 0,
+                replies: 0,
+                fallbacks: 0,
+                rateLimited: 0,
+                aiErrors: 0,
+                latencies: [],
+                latencyCount: 0, // replies with a measured latency, sampled or not
+                languages: {},
+                contacts: new Set()
+            });
+        }
+        
+        this.dirty.add(key);
+        return this.buckets.get(key);
+    }
+    
+    // language is null for messages without text
+    recordInbound(session, { messageId, contact, language }) {
+        const bucket = this.getBucket(session);
+        bucket.inbound++;
+        bucket.contacts.add(contact);
+        if (language) {
+            bucket.languages[language] = (bucket.languages[language] || 0) + 1;
+        }
+        
+        if (messageId) {
+            this.pending.set(messageId, { receivedAt: Date.now() });
+        }
+    }
+    
+    // replyTo is the incoming message id; only the first reply to a message counts towards latency
+    recordReply(session, { replyTo, fallback = false }) {
+        const bucket = this.getBucket(session);
+        bucket.replies++;
+        if (fallback) {
+            bucket.fallbacks++;
+        }
+        
+        const pending = replyTo && this.pending.get(replyTo);
+        if (!pending) return;
+        
+        this.pending.delete(replyTo);
+        const latency = Date.now() - pending.receivedAt;
+        bucket.latencyCount++;
+        if (bucket.latencies.length < MAX_LATENCY_SAMPLES) {
+            bucket.latencies.push(latency);
+        } else {
+            // Reservoir sampling keeps every measured reply equally likely to be in the sample;
+            // replies without a latency (dashboard or notify sends) must not count here
+            const index = Math.floor(Math.random() * bucket.latencyCount);
+            if (index < MAX_LATENCY_SAMPLES) {
+                bucket.latencies[index] = latency;
+            }
+        }
+    }
+    
+    recordRateLimited(session) {
+        this.getBucket(session).rateLimited++;
+    }
+    
+    recordAIError(session) {
+        this.getBucket(session).aiErrors++;
+    }
+    
+    // Writes changed buckets and forgets the ones from previous days
+    async flush() {
+        const today = this.getDate();
+        const keys = Array.from(this.dirty);
+        this.dirty.clear();
+        
+        for (const key of keys) {
+            const bucket = this.buckets.get(key);
+            try {
+                await this.persist(bucket);
+            } catch (error) {
+                this.dirty.add(key);
+                console.error(`❌ Failed to save analytics for ${key}:`, error.message);
+            }
+        }
+        
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.date !== today && !this.dirty.has(key)) {
+                this.buckets.delete(key);
+            }
+        }
+        
+        const now = Date.now();
+        for (const [messageId, pending] of this.pending) {
+            if (now - pending.receivedAt > PENDING_TTL) {
+                this.pending.delete(messageId);
+            }
+        }
+    }
+    
+    async persist(bucket) {
+        const record = this.serialize(bucket);
+        
+        if (this.dbPool) {
+            const { median, p95 } = this.getLatency(record.latencies);
+            await this.dbPool.execute(
+                `INSERT INTO session_analytics (date, session_id, owner_id, inbound, replies, fallbacks, rate_limited, ai_errors,
+                    latency_median_ms, latency_p95_ms, unique_contacts, latencies, latency_count, languages, contacts)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE inbound = VALUES(inbound), replies = VALUES(replies), fallbacks = VALUES(fallbacks),
+                    rate_limited = VALUES(rate_limited), ai_errors = VALUES(ai_errors), latency_median_ms = VALUES(latency_median_ms),
+                    latency_p95_ms = VALUES(latency_p95_ms), unique_contacts = VALUES(unique_contacts), latencies = VALUES(latencies),
+                    latency_count = VALUES(latency_count), languages = VALUES(languages), contacts = VALUES(contacts)`,
+                [record.date, record.sessionId, record.ownerId, record.inbound, record.replies, record.fallbacks,
+                    record.rateLimited, record.aiErrors, median, p95, record.contacts.length,
+                    JSON.stringify(record.latencies), record.latencyCount, JSON.stringify(record.languages), JSON.stringify(record.contacts)]
+            );
+        } else if (this.localStore) {
+            await this.localStore.put('session_analytics', this.getKey(record.date, record.sessionId), record);
+        }
+    }
+    
+    serialize(bucket) {
+        return {
+            ...bucket,
+            latencies: [...bucket.latencies],
+            languages: { ...bucket.languages },
+            contacts: Array.from(bucket.contacts)
+        };
+    }
+    
+    // Rows for the dates (inclusive), oldest first; unsaved counters are written out first
+    async query({ from, to, sessionId = null }) {
+        await this.flush();
+        
+        const buckets = await this.loadBuckets({ from, to });
+        return buckets
+            .filter(bucket => !sessionId || bucket.sessionId === sessionId)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.sessionId.localeCompare(b.sessionId));
+    }
+    
+    // Nearest-rank percentiles in milliseconds, null without samples
+    getLatency(latencies) {
+        if (latencies.length === 0) {
+            return { median: null, p95: null };
+        }
+        
+        const sorted = [...latencies].sort((a, b) => a - b);
+        const percentile = p => sorted[Math.max(Math.ceil(p * sorted.length) - 1, 0)];
+        return { median: percentile(0.5), p95: percentile(0.95) };
+    }
+    
+    describeBucket(bucket) {
+        const { median, p95 } = this.getLatency(bucket.latencies);
+        return {
+            date: bucket.date,
+            sessionId: bucket.sessionId,
+            inbound: bucket.inbound,
+            replies: bucket.replies,
+            fallbacks: bucket.fallbacks,
+            rateLimited: bucket.rateLimited,
+            aiErrors: bucket.aiErrors,
+            latencyMedianMs: median,
+            latencyP95Ms: p95,
+            languages: bucket.languages,
+            uniqueContacts: bucket.contacts.length
+        };
+    }
+    
+    // Totals across rows; latency and unique contacts are computed over the whole range
+    summarize(buckets) {
+        const languages = {};
+        const contacts = new Set();
+        const latencies = [];
+        const totals = { inbound: 0, replies: 0, fallbacks: 0, rateLimited: 0, aiErrors: 0 };
+        
+        buckets.forEach(bucket => {
+            Object.keys(totals).forEach(field => {
+                totals[field] += bucket[field];
+            });
+            Object.entries(bucket.languages).forEach(([language, count]) => {
+                languages[language] = (languages[language] || 0) + count;
+            });
+            bucket.contacts.forEach(contact => contacts.add(contact));
+            latencies.push(...bucket.latencies);
+        });
+        
+        const { median, p95 } = this.getLatency(latencies);
+        return {
+            ...totals,
+            latencyMedianMs: median,
+            latencyP95Ms: p95,
+            languages,
+            uniqueContacts: contacts.size,
+            activeSessions: new Set(buckets.map(bucket => bucket.sessionId)).size
+        };
+    }
+    
+    toCsv(buckets) {
+        const columns = ['date', 'sessionId', 'inbound', 'replies', 'fallbacks', 'rateLimited', 'aiErrors',
+            'latencyMedianMs', 'latencyP95Ms', 'uniqueContacts', 'languages'];
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const rows = buckets.map(bucket => {
+            const row = this.describeBucket(bucket);
+            row.languages = Object.entries(row.languages).map(([language, count]) => `${language}:${count}`).join(' ');
+            return columns.map(column => escape(row[column])).join(',');
+        });
+        
+        return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+    
+    // Deployment-wide totals for a day in bot_analytics (or the "bot_analytics" local collection)
+    async saveDailyTotals(date, totals) {
+        if (this.dbPool) {
+            await this.dbPool.execute(
+                `INSERT INTO bot_analytics (date, total_messages, total_replies, active_sessions) 
+                 VALUES (?, ?, ?, ?) 
+                 ON DUPLICATE KEY UPDATE 
+                 total_messages = ?, total_replies = ?, active_sessions = ?`,
+                [date, totals.inbound, totals.replies, totals.activeSessions, totals.inbound, totals.replies, totals.activeSessions]
+            );
+        } else if (this.localStore) {
+            await this.localStore.put('bot_analytics', date, {
+                date,
+                totalMessages: totals.inbound,
+                totalReplies: totals.replies,
+                activeSessions: totals.activeSessions
+            });
+        }
+    }
+    
+    async loadBuckets({ from, to }) {
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute(
+                    `SELECT DATE_FORMAT(date, '%Y-%m-%d') AS date, session_id, owner_id, inbound, replies, fallbacks,
+                        rate_limited, ai_errors, latencies, latency_count, languages, contacts
+                     FROM session_analytics WHERE date BETWEEN ? AND ?`,
+                    [from, to]
+                );
+                return rows.map(row => ({
+                    date: row.date,
+                    sessionId: row.session_id,
+                    ownerId: row.owner_id,
+                    inbound: row.inbound,
+                    replies: row.replies,
+                    fallbacks: row.fallbacks,
+                    rateLimited: row.rate_limited,
+                    aiErrors: row.ai_errors,
+                    latencies: JSON.parse(row.latencies || '[]'),
+                    latencyCount: row.latency_count,
+                    languages: JSON.parse(row.languages || '{}'),
+                    contacts: JSON.parse(row.contacts || '[]')
+                }));
+            } else if (this.localStore) {
+                return await this.localStore.list('session_analytics', bucket => bucket.date >= from && bucket.date <= to);
+            }
+        } catch (error) {
+            console.error('❌ Failed to load analytics:', error.message);
+        }
+        
+        return [];
+    }
+}
+
+module.exports = AnalyticsStore;
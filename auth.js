@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+class AuthManager {
+    constructor() {
+        this.jwtSecret = process.env.JWT_SECRET;
+        this.tokenExpiry = process.env.JWT_EXPIRES_IN || '12h';
+        this.disabled = process.env.AUTH_DISABLED === 'true';
+        
+        // API_KEYS format: key:ownerId[:role], comma separated
+        this.apiKeys = this.parseApiKeys(process.env.API_KEYS || '');
+        
+        this.initializeAuth();
+    }
+    
+    initializeAuth() {
+        if (this.disabled) {
+            console.log('⚠️ API authentication is DISABLED (AUTH_DISABLED=true)');
+            return;
+        }
+        
+        if (!this.jwtSecret && this.apiKeys.length === 0) {
+            console.log('⚠️ Neither JWT_SECRET nor API_KEYS is set, all API requests will be rejected');
+        }
+        
+        console.log(`🔐 API authentication enabled (${this.apiKeys.length} API key(s), JWT ${this.jwtSecret ? 'on' : 'off'})`);
+    }
+    
+    parseApiKeys(value) {
+        return value.split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const [key, ownerId, role] = entry.split(':');
+                const hash = this.hashKey(key);
+                return {
+                    hash,
+                    principal: {
+                        id: ownerId || `key_${hash.toString('hex').substring(0, 12)}`,
+                        role: role || 'user'
+                    }
+                };
+            });
+    }
+    
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest();
+    }
+    
+    verifyApiKey(apiKey) {
+        if (!apiKey) return null;
+        
+        // Compare digests in constant time so keys cannot be guessed byte by byte
+        const hash = this.hashKey(apiKey);
+        const match = this.apiKeys.find(entry => crypto.timingSafeEqual(entry.hash, hash));
+        
+        return match ? { ...match.principal, via: 'api_key' } : null;
+    }
+    
+    verifyToken(token) {
+        if (!token || !this.jwtSecret) return null;
+        
+        try {
+            const payload = jwt.verify(token, this.jwtSecret);
+            if (!payload.sub) return null;
+            
+            return {
+                id: String(payload.sub),
+                role: payload.role || 'user',
+                via: 'jwt'
+            };
+        } catch (error) {
+            console.log(`🔒 Rejected token: ${error.message}`);
+            return null;
+        }
+    }
+    
+    issueToken(principal) {
+        if (!this.jwtSecret) {
+            throw new Error('JWT_SECRET is not configured');
+        }
+        
+        return jwt.sign(
+            { sub: principal.id, role: principal.role },
+            this.jwtSecret,
+            { expiresIn: this.tokenExpiry }
+        );
+    }
+    
+    authenticate({ authorization, apiKey, token }) {
+        if (this.disabled) {
+            return { id: 'anonymous', role: 'admin', via: 'disabled' };
+        }
+        
+        if (authorization?.startsWith('Bearer ')) {
+            const credential = authorization.substring(7).trim();
+            // Bearer accepts either a JWT or a raw API key
+            return this.verifyToken(credential) || this.verifyApiKey(credential);
+        }
+        
+        return this.verifyApiKey(apiKey) || this.verifyToken(token);
+    }
+    
+    canAccess(principal, ownerId) {
+        if (!principal) return false;
+        if (principal.role === 'admin') return true;
+        
+        // Sessions without a recorded owner are only visible to admins
+        return Boolean(ownerId) && ownerId === principal.id;
+    }
+    
+    middleware() {
+        return (req, res, next) => {
+            const principal = this.authenticate({
+                authorization: req.headers.authorization,
+                apiKey: req.headers['x-api-key']
+            });
+            
+            if (!principal) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Authentication required'
+                });
+            }
+            
+            req.principal = principal;
+            next();
+        };
+    }
+    
+    socketMiddleware() {
+        return (socket, next) => {
+            const { auth = {}, headers = {}, query = {} } = socket.handshake;
+            
+            const principal = this.authenticate({
+                authorization: headers.authorization,
+                apiKey: auth.apiKey || headers['x-api-key'],
+                token: auth.token || query.token
+            });
+            
+            if (!principal) {
+                console.log(`🔒 Socket connection rejected: ${socket.id}`);
+                return next(new Error('Authentication required'));
+            }
+            
+            socket.data.principal = principal;
+            next();
+        };
+    }
+}
+
+module.exports = AuthManager;
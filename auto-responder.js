@@ -0,0 +1,417 @@
+const { v4: uuidv4 } = require('uuid');
+const { renderTemplate } = require('./template-utils');
+
+const MATCH_TYPES = ['exact', 'contains', 'regex'];
+const MAX_PATTERN_LENGTH = 500;
+
+// Finds a repeated group that itself contains a repetition, like (a+)+ or (\w+\s?)*. Such
+// patterns can backtrack exponentially, and rules run synchronously on every incoming message,
+// so one bad rule would stall the bot for every session. Returns the offending group or null.
+function findNestedRepetition(pattern) {
+    const groups = [{ start: 0, repeats: false }];
+    let last = null; // the atom a following quantifier applies to
+    
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        
+        if (char === '\\') {
+            last = { repeats: false };
+            i++;
+        } else if (char === '[') {
+            // Character class: skip to its closing bracket
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+            last = { repeats: false };
+        } else if (char === '(') {
+            groups.push({ start: i, repeats: false });
+            last = null;
+            // (?:, (?=, (?!, (?<=, (?<! and (?<name> are not quantifiers
+            if (pattern[i + 1] === '?') {
+                i++;
+                if (pattern[i + 1] === '<') {
+                    i++;
+                    if (!['=', '!'].includes(pattern[i + 1])) {
+                        while (i < pattern.length && pattern[i] !== '>') i++;
+                    }
+                }
+            }
+        } else if (char === ')') {
+            const group = groups.length > 1 ? groups.pop() : { start: i, repeats: false };
+            group.end = i;
+            last = group;
+            if (group.repeats) groups[groups.length - 1].repeats = true;
+        } else if ('*+?{'.includes(char)) {
+            const bounds = char === '{' ? pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+            if (char === '{' && !bounds) {
+                last = { repeats: false };
+                continue;
+            }
+            
+            // ? and {0,1} only make an atom optional
+            const repeats = char === '*' || char === '+' ||
+                (bounds && (bounds[2] ? bounds[3] === '' || parseInt(bounds[3]) > 1 : parseInt(bounds[1]) > 1));
+            if (repeats && last?.repeats) {
+                return pattern.slice(last.start, last.end + 1);
+            }
+            if (repeats) groups[groups.length - 1].repeats = true;
+            
+            if (bounds) i += bounds[0].length - 1;
+            if (pattern[i + 1] === '?') i++; // lazy
+            last = null;
+        } else {
+            last = { repeats: false };
+        }
+    }
+    
+    return null;
+}
+
+// Fixed answers (address, UPI id, opening hours...) sent without asking the AI. Each session
+// has an ordered list of rules; the first enabled rule matching the message wins.
+//   exact    - the whole message, ignoring case, extra spaces and trailing punctuation
+//   contains - the pattern appears as whole words anywhere in the message
+//   regex    - a JavaScript regular expression
+// Replies are keyed by language with a "default" fallback, may use {{name}} and {{phone}},
+// and a rule can carry a document, image or voice note.
+class AutoResponder {
+    constructor(options = {}) {
+        this.dbPool = null;
+        this.localStore = null;
+        this.languages = options.languages || [];
+        
+        this.rules = new Map();
+        this.matchers = new Map(); // ruleId -> compiled RegExp
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    async load() {
+        const rules = await this.loadRules();
+        this.rules.clear();
+        this.matchers.clear();
+        rules.forEach(rule => this.rules.set(rule.id, rule));
+        
+        console.log(`💬 Loaded ${this.rules.size} auto-response rules`);
+    }
+    
+    // fields may be partial when existing is given; returns an error message or null
+    validateRule(fields, existing = null) {
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            return 'Rule must be an object';
+        }
+        
+        const merged = { ...existing, ...fields };
+        const known = ['match', 'pattern', 'caseSensitive', 'replies', 'media', 'enabled', 'position', 'name'];
+        const unknown = Object.keys(fields).find(field => !known.includes(field));
+        if (unknown) {
+            return `Unknown rule field: ${unknown}`;
+        }
+        
+        if (!MATCH_TYPES.includes(merged.match)) {
+            return `match must be one of: ${MATCH_TYPES.join(', ')}`;
+        }
+        if (typeof merged.pattern !== 'string' || !merged.pattern.trim() || merged.pattern.length > MAX_PATTERN_LENGTH) {
+            return `pattern must be a string of up to ${MAX_PATTERN_LENGTH} characters`;
+        }
+        if (merged.match === 'regex') {
+            try {
+                new RegExp(merged.pattern);
+            } catch (error) {
+                return `pattern is not a valid regular expression: ${error.message}`;
+            }
+            const nested = findNestedRepetition(merged.pattern);
+            if (nested) {
+                return `pattern repeats a group that already repeats (${nested}), which can make matching hang`;
+            }
+        }
+        if (merged.name !== undefined && merged.name !== null && (typeof merged.name !== 'string' || merged.name.length > 100)) {
+            return 'name must be a string of up to 100 characters';
+        }
+        if (merged.caseSensitive !== undefined && typeof merged.caseSensitive !== 'boolean') {
+            return 'caseSensitive must be true or false';
+        }
+        if (merged.enabled !== undefined && typeof merged.enabled !== 'boolean') {
+            return 'enabled must be true or false';
+        }
+        if (fields.position !== undefined && !(Number.isInteger(fields.position) && fields.position >= 1)) {
+            return 'position must be a positive integer';
+        }
+        
+        const replies = merged.replies || {};
+        if (typeof replies !== 'object' || Array.isArray(replies)) {
+            return 'replies must be an object keyed by language, e.g. { "default": "..." }';
+        }
+        for (const [language, text] of Object.entries(replies)) {
+            if (language !== 'default' && !this.languages.includes(language)) {
+                return `Unknown language in replies: ${language}`;
+            }
+            if (typeof text !== 'string' || !text.trim() || text.length > 4096) {
+                return `replies.${language} must be a string of up to 4096 characters`;
+            }
+        }
+        
+        const hasText = Object.keys(replies).length > 0;
+        if (!merged.media && !replies.default) {
+            return 'replies.default is required unless the rule sends media';
+        }
+        if (merged.media?.sendAs === 'voice' && hasText) {
+            return 'Voice notes cannot carry a caption, so a voice rule cannot have replies';
+        }
+        
+        return null;
+    }
+    
+    // media is { media, sendAs } as parsed from the upload
+    async create({ ownerId, sessionId, name, match, pattern, caseSensitive, replies, media, enabled, position }) {
+        const now = new Date().toISOString();
+        const rule = {
+            id: uuidv4(),
+            ownerId: ownerId || null,
+            sessionId,
+            name: name || null,
+            position: this.listRules(sessionId).length + 1,
+            match,
+            pattern,
+            caseSensitive: Boolean(caseSensitive),
+            replies: replies || {},
+            media: media || null,
+            enabled: enabled !== false,
+            hits: 0,
+            lastHitAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        this.rules.set(rule.id, rule);
+        await this.save(rule);
+        
+        if (position !== undefined) {
+            await this.move(rule, position);
+        }
+        
+        console.log(`💬 Auto-response ${rule.id} added for session ${sessionId}: ${match} "${pattern}"`);
+        return rule;
+    }
+    
+    async update(rule, changes) {
+        for (const field of ['name', 'match', 'pattern', 'caseSensitive', 'replies', 'media', 'enabled']) {
+            if (changes[field] !== undefined) {
+                rule[field] = changes[field];
+            }
+        }
+        rule.replies = rule.replies || {};
+        rule.updatedAt = new Date().toISOString();
+        this.matchers.delete(rule.id);
+        await this.save(rule);
+        
+        if (changes.position !== undefined) {
+            await this.move(rule, changes.position);
+        }
+        return rule;
+    }
+    
+    async remove(rule) {
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute('DELETE FROM auto_responses WHERE id = ?', [rule.id]);
+            } else if (this.localStore) {
+                await this.localStore.remove('auto_responses', rule.id);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to remove auto-response ${rule.id}:`, error.message);
+        }
+        
+        this.rules.delete(rule.id);
+        this.matchers.delete(rule.id);
+        await this.renumber(this.listRules(rule.sessionId));
+    }
+    
+    // position is 1-based; positions past the end move the rule last
+    async move(rule, position) {
+        const rules = this.listRules(rule.sessionId).filter(other => other.id !== rule.id);
+        rules.splice(Math.min(position, rules.length + 1) - 1, 0, rule);
+        await this.renumber(rules);
+    }
+    
+    // ids must list every rule of the session exactly once
+    async reorder(sessionId, ids) {
+        const rules = this.listRules(sessionId);
+        if (!Array.isArray(ids) || ids.length !== rules.length || new Set(ids).size !== ids.length ||
+            !ids.every(id => this.rules.get(id)?.sessionId === sessionId)) {
+            return false;
+        }
+        
+        await this.renumber(ids.map(id => this.rules.get(id)));
+        return true;
+    }
+    
+    async renumber(rules) {
+        for (const [index, rule] of rules.entries()) {
+            if (rule.position !== index + 1) {
+                rule.position = index + 1;
+                await this.save(rule);
+            }
+        }
+    }
+    
+    getRule(ruleId) {
+        return this.rules.get(ruleId) || null;
+    }
+    
+    listRules(sessionId) {
+        return Array.from(this.rules.values())
+            .filter(rule => rule.sessionId === sessionId)
+            .sort((a, b) => a.position - b.position);
+    }
+    
+    describeRule(rule) {
+        return {
+            id: rule.id,
+            sessionId: rule.sessionId,
+            name: rule.name,
+            position: rule.position,
+            match: rule.match,
+            pattern: rule.pattern,
+            caseSensitive: rule.caseSensitive,
+            replies: rule.replies,
+            media: rule.media ? {
+                mimeType: rule.media.media.mimetype,
+                filename: rule.media.media.filename,
+                size: rule.media.media.filesize,
+                sendAs: rule.media.sendAs
+            } : null,
+            enabled: rule.enabled,
+            hits: rule.hits,
+            lastHitAt: rule.lastHitAt,
+            createdAt: rule.createdAt,
+            updatedAt: rule.updatedAt
+        };
+    }
+    
+    normalize(text, caseSensitive) {
+        const collapsed = String(text || '').trim().replace(/\s+/g, ' ');
+        return caseSensitive ? collapsed : collapsed.toLowerCase();
+    }
+    
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    
+    getMatcher(rule) {
+        if (!this.matchers.has(rule.id)) {
+            // Rules saved before patterns were checked are refused here as well
+            if (rule.match === 'regex' && findNestedRepetition(rule.pattern)) {
+                throw new Error('pattern repeats a group that already repeats');
+            }
+            const matcher = rule.match === 'regex'
+                ? new RegExp(rule.pattern, rule.caseSensitive ? '' : 'i')
+                // Whole words only, so "hi" does not fire on "this"
+                : new RegExp(`(^|[^\\p{L}\\p{N}])${this.escapeRegExp(this.normalize(rule.pattern, true))}($|[^\\p{L}\\p{N}])`, rule.caseSensitive ? 'u' : 'iu');
+            this.matchers.set(rule.id, matcher);
+        }
+        return this.matchers.get(rule.id);
+    }
+    
+    matches(rule, text) {
+        if (rule.match === 'exact') {
+            const strip = value => this.normalize(value, rule.caseSensitive).replace(/[\s.!?।]+$/u, '');
+            return strip(text) === strip(rule.pattern);
+        }
+        return this.getMatcher(rule).test(rule.match === 'regex' ? text : this.normalize(text, true));
+    }
+    
+    // First enabled rule matching the text, with the reply for the language:
+    // { rule, text, media, sendAs } or null
+    find(sessionId, text, { language, variables = {} } = {}) {
+        const rule = this.listRules(sessionId).find(candidate => {
+            try {
+                return candidate.enabled && this.matches(candidate, text);
+            } catch (error) {
+                console.error(`❌ Auto-response ${candidate.id} failed to match:`, error.message);
+                return false;
+            }
+        });
+        if (!rule) {
+            return null;
+        }
+        
+        const reply = rule.replies[language] || rule.replies.default || '';
+        return {
+            rule,
+            text: renderTemplate(reply, variables),
+            media: rule.media ? rule.media.media : null,
+            sendAs: rule.media ? rule.media.sendAs : null
+        };
+    }
+    
+    async recordHit(rule) {
+        rule.hits++;
+        rule.lastHitAt = new Date().toISOString();
+        await this.save(rule);
+    }
+    
+    async loadRules() {
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute('SELECT * FROM auto_responses ORDER BY session_id, position');
+                return rows.map(row => ({
+                    id: row.id,
+                    ownerId: row.owner_id,
+                    sessionId: row.session_id,
+                    name: row.name,
+                    position: row.position,
+                    match: row.match_type,
+                    pattern: row.pattern,
+                    caseSensitive: Boolean(row.case_sensitive),
+                    replies: JSON.parse(row.replies || '{}'),
+                    media: row.media ? JSON.parse(row.media) : null,
+                    enabled: Boolean(row.enabled),
+                    hits: row.hits,
+                    lastHitAt: row.last_hit_at ? new Date(row.last_hit_at).toISOString() : null,
+                    createdAt: new Date(row.created_at).toISOString(),
+                    updatedAt: new Date(row.updated_at).toISOString()
+                }));
+            } else if (this.localStore) {
+                return await this.localStore.list('auto_responses');
+            }
+        } catch (error) {
+            console.error('❌ Failed to load auto-response rules:', error.message);
+        }
+        
+        return [];
+    }
+    
+    async save(rule) {
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    `INSERT INTO auto_responses
+                        (id, owner_id, session_id, name, position, match_type, pattern, case_sensitive, replies, media,
+                         enabled, hits, last_hit_at, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE
+                        name = VALUES(name), position = VALUES(position), match_type = VALUES(match_type),
+                        pattern = VALUES(pattern), case_sensitive = VALUES(case_sensitive), replies = VALUES(replies),
+                        media = VALUES(media), enabled = VALUES(enabled), hits = VALUES(hits),
+                        last_hit_at = VALUES(last_hit_at), updated_at = VALUES(updated_at)`,
+                    [
+                        rule.id, rule.ownerId, rule.sessionId, rule.name, rule.position, rule.match, rule.pattern,
+                        rule.caseSensitive, JSON.stringify(rule.replies), rule.media ? JSON.stringify(rule.media) : null,
+                        rule.enabled, rule.hits, rule.lastHitAt ? new Date(rule.lastHitAt) : null,
+                        new Date(rule.createdAt), new Date(rule.updatedAt)
+                    ]
+                );
+            } else if (this.localStore) {
+                await this.localStore.put('auto_responses', rule.id, { ...rule });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to save auto-response ${rule.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = AutoResponder;
@@ -0,0 +1,640 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { renderTemplate, extractVariables } = require('./template-utils');
+
+const FINISHED = ['completed', 'cancelled'];
+
+// Broadcast campaigns to uploaded contact lists. Recipients are handed to the message
+// queue a few at a time, so pause and cancel take effect right away and the queue's
+// pacing decides how fast the campaign goes out.
+//
+// Campaign statuses: scheduled -> running -> completed, plus paused and cancelled.
+// Recipient statuses: pending -> queued -> sent -> delivered, or failed / cancelled.
+// Events: 'updated' (campaign) and 'recipient' (campaign, recipient).
+class CampaignManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.dbPool = null;
+        this.localStore = null;
+        this.messageQueue = options.messageQueue;
+        
+        this.campaigns = new Map();
+        this.messageIds = new Map(); // WhatsApp message id -> { campaignId, index }, for delivery receipts
+        
+        this.batchSize = parseInt(process.env.CAMPAIGN_BATCH_SIZE) || 5;
+        this.maxRecipients = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000;
+        
+        // Finished campaigns keep their recipients in memory this long to record late receipts
+        this.receiptWindow = 24 * 60 * 60 * 1000;
+        
+        this.messageQueue.on('updated', job => {
+            if (job.meta?.campaignId) {
+                this.handleJobUpdate(job).catch(error => {
+                    console.error(`❌ Campaign update for job ${job.id} failed:`, error);
+                });
+            }
+        });
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    // Needs a started message queue, since running campaigns enqueue their next batch right away.
+    // Job updates are handled by the listener wired in the constructor; jobs that finished
+    // before this ran are caught up by reconcile().
+    async load() {
+        const campaigns = await this.loadCampaigns();
+        const now = Date.now();
+        
+        for (const campaign of campaigns) {
+            const recent = campaign.completedAt && now - new Date(campaign.completedAt).getTime() < this.receiptWindow;
+            if (!FINISHED.includes(campaign.status) || recent) {
+                campaign.recipients = await this.loadRecipients(campaign.id);
+                await this.reconcile(campaign);
+            }
+            this.campaigns.set(campaign.id, campaign);
+        }
+        
+        const running = campaigns.filter(campaign => campaign.status === 'running');
+        console.log(`📣 Loaded ${campaigns.length} campaigns, ${running.length} running`);
+        
+        for (const campaign of running) {
+            await this.pump(campaign);
+        }
+    }
+    
+    // Catches up on queue jobs that finished while the server was down
+    async reconcile(campaign) {
+        campaign.cursor = 0;
+        
+        for (const recipient of campaign.recipients) {
+            if (recipient.status === 'queued') {
+                const job = recipient.jobId ? await this.messageQueue.getJob(recipient.jobId) : null;
+                if (this.applyJob(campaign, recipient, job)) {
+                    await this.saveRecipient(recipient);
+                }
+            }
+            if (recipient.status === 'sent' && recipient.messageId) {
+                this.messageIds.set(recipient.messageId, { campaignId: campaign.id, index: recipient.index });
+            }
+        }
+    }
+    
+    // Returns an error message, or null when the campaign can be created
+    validateCampaign({ template, contacts, media, scheduledAt }) {
+        if (!template && !media) {
+            return 'A campaign needs a message template, media or both';
+        }
+        if (template && (typeof template !== 'string' || template.length > 4096)) {
+            return 'template must be a string of up to 4096 characters';
+        }
+        if (template && media?.sendAs === 'voice') {
+            return 'Voice notes cannot carry a message; leave the template empty or send the file as a document';
+        }
+        if (!Array.isArray(contacts) || contacts.length === 0) {
+            return 'The contact list has no valid phone numbers';
+        }
+        if (contacts.length > this.maxRecipients) {
+            return `Campaigns are limited to ${this.maxRecipients} recipients`;
+        }
+        if (scheduledAt && Number.isNaN(new Date(scheduledAt).getTime())) {
+            return 'scheduledAt must be an ISO date';
+        }
+        
+        return null;
+    }
+    
+    // Variables the template uses without a default that some contacts do not have
+    findMissingVariables(template, contacts) {
+        return extractVariables(template)
+            .filter(variable => !variable.hasDefault)
+            .map(variable => ({
+                name: variable.name,
+                contacts: contacts.filter(contact => !renderTemplate(`{{${variable.name}}}`, contact.variables)).length
+            }))
+            .filter(variable => variable.contacts > 0);
+    }
+    
+    // media: { mimetype, data, filename, filesize, sendAs, options } or null
+    async create({ ownerId, sessionId, name, template, contacts, media = null, scheduledAt = null }) {
+        const now = new Date();
+        const id = uuidv4();
+        const campaign = {
+            id,
+            ownerId: ownerId || null,
+            sessionId,
+            name: name || `Campaign ${now.toISOString().split('T')[0]}`,
+            template: template || '',
+            media,
+            status: 'scheduled',
+            total: contacts.length,
+            counts: null,
+            scheduledAt: (scheduledAt ? new Date(scheduledAt) : now).toISOString(),
+            createdAt: now.toISOString(),
+            startedAt: null,
+            completedAt: null,
+            cursor: 0,
+            recipients: contacts.map((contact, index) => ({
+                campaignId: id,
+                index,
+                phone: contact.phone,
+                variables: contact.variables || {},
+                status: 'pending',
+                jobId: null,
+                messageId: null,
+                error: null,
+                sentAt: null,
+                deliveredAt: null,
+                updatedAt: now.toISOString()
+            }))
+        };
+        
+        await this.saveCampaign(campaign);
+        await this.saveRecipients(campaign.recipients);
+        this.campaigns.set(id, campaign);
+        
+        console.log(`📣 Campaign "${campaign.name}" created for ${campaign.total} recipients`);
+        
+        if (new Date(campaign.scheduledAt) <= now) {
+            await this.start(campaign);
+        } else {
+            this.emit('updated', campaign);
+        }
+        
+        return campaign;
+    }
+    
+    async start(campaign) {
+        console.log(`${campaign.startedAt ? '▶️' : '📣'} Campaign "${campaign.name}" ${campaign.startedAt ? 'resumed' : 'started'}`);
+        
+        campaign.status = 'running';
+        campaign.startedAt = campaign.startedAt || new Date().toISOString();
+        await this.saveCampaign(campaign);
+        
+        this.emit('updated', campaign);
+        await this.pump(campaign);
+    }
+    
+    // Run by the scheduler every minute
+    async startDueCampaigns() {
+        const now = Date.now();
+        
+        for (const campaign of this.campaigns.values()) {
+            if (campaign.status === 'scheduled' && new Date(campaign.scheduledAt).getTime() <= now) {
+                await this.start(campaign);
+            }
+        }
+    }
+    
+    async pause(campaignId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || !['scheduled', 'running'].includes(campaign.status)) {
+            return null;
+        }
+        
+        campaign.status = 'paused';
+        await this.saveCampaign(campaign);
+        
+        // Queued messages go back to pending; the one being sent right now still goes out
+        await this.cancelQueuedJobs(campaign);
+        
+        console.log(`⏸️ Campaign "${campaign.name}" paused`);
+        this.emit('updated', campaign);
+        return campaign;
+    }
+    
+    async resume(campaignId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || campaign.status !== 'paused') {
+            return null;
+        }
+        
+        // Campaigns paused before their start time go back to waiting for it
+        if (!campaign.startedAt && new Date(campaign.scheduledAt).getTime() > Date.now()) {
+            campaign.status = 'scheduled';
+            await this.saveCampaign(campaign);
+            this.emit('updated', campaign);
+            return campaign;
+        }
+        
+        await this.start(campaign);
+        return campaign;
+    }
+    
+    async cancel(campaignId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || FINISHED.includes(campaign.status)) {
+            return null;
+        }
+        
+        campaign.status = 'cancelled';
+        campaign.completedAt = new Date().toISOString();
+        await this.cancelQueuedJobs(campaign);
+        
+        const skipped = campaign.recipients.filter(recipient => recipient.status === 'pending');
+        skipped.forEach(recipient => {
+            recipient.status = 'cancelled';
+            recipient.updatedAt = campaign.completedAt;
+        });
+        await this.saveRecipients(skipped);
+        
+        this.releaseMedia(campaign);
+        await this.saveCampaign(campaign);
+        
+        console.log(`🛑 Campaign "${campaign.name}" cancelled, ${this.getCounts(campaign).cancelled} messages not sent`);
+        this.emit('updated', campaign);
+        return campaign;
+    }
+    
+    async cancelQueuedJobs(campaign) {
+        for (const recipient of campaign.recipients) {
+            if (recipient.status === 'queued' && recipient.jobId) {
+                // The queue's 'updated' event moves the recipient back to pending or cancelled
+                await this.messageQueue.cancel(recipient.jobId);
+            }
+        }
+    }
+    
+    async complete(campaign) {
+        campaign.status = 'completed';
+        campaign.completedAt = new Date().toISOString();
+        this.releaseMedia(campaign);
+        await this.saveCampaign(campaign);
+        
+        const counts = this.getCounts(campaign);
+        console.log(`✅ Campaign "${campaign.name}" completed: ${counts.sent + counts.delivered} sent, ${counts.failed} failed`);
+        this.emit('updated', campaign);
+    }
+    
+    // Every queued job already has its own copy of the file
+    releaseMedia(campaign) {
+        if (campaign.media) {
+            campaign.media = { ...campaign.media, data: null };
+        }
+    }
+    
+    // Keeps up to batchSize recipients of a running campaign in the message queue
+    async pump(campaign) {
+        while (campaign.status === 'running') {
+            const inFlight = campaign.recipients.filter(recipient => recipient.status === 'queued').length;
+            if (inFlight >= this.batchSize) return;
+            
+            const recipient = this.nextPending(campaign);
+            if (!recipient) {
+                if (inFlight === 0) {
+                    await this.complete(campaign);
+                }
+                return;
+            }
+            
+            recipient.status = 'queued';
+            try {
+                const job = await this.messageQueue.enqueue(this.buildJob(campaign, recipient));
+                recipient.jobId = job.id;
+            } catch (error) {
+                recipient.status = 'failed';
+                recipient.error = error.message;
+            }
+            
+            recipient.updatedAt = new Date().toISOString();
+            await this.saveRecipient(recipient);
+            this.emit('recipient', campaign, recipient);
+        }
+    }
+    
+    nextPending(campaign) {
+        while (campaign.cursor < campaign.recipients.length) {
+            const recipient = campaign.recipients[campaign.cursor];
+            if (recipient.status === 'pending') {
+                return recipient;
+            }
+            campaign.cursor++;
+        }
+        return null;
+    }
+    
+    buildJob(campaign, recipient) {
+        const text = renderTemplate(campaign.template, recipient.variables);
+        const job = {
+            sessionId: campaign.sessionId,
+            ownerId: campaign.ownerId,
+            to: recipient.phone,
+            source: 'campaign',
+            meta: { campaignId: campaign.id, recipientIndex: recipient.index }
+        };
+        
+        if (campaign.media) {
+            const { sendAs, options, ...media } = campaign.media;
+            return { ...job, type: 'media', media, caption: text, options: options || {} };
+        }
+        
+        return { ...job, message: text };
+    }
+    
+    async handleJobUpdate(job) {
+        const campaign = this.campaigns.get(job.meta.campaignId);
+        const recipient = campaign?.recipients?.[job.meta.recipientIndex];
+        if (!recipient || recipient.phone !== job.to) return;
+        
+        if (!this.applyJob(campaign, recipient, job)) return;
+        
+        await this.saveRecipient(recipient);
+        this.emit('recipient', campaign, recipient);
+        
+        if (FINISHED.includes(campaign.status)) {
+            await this.saveCampaign(campaign);
+        } else {
+            await this.pump(campaign);
+        }
+    }
+    
+    // Copies a queue job's outcome onto its recipient. Returns true when the status changed.
+    applyJob(campaign, recipient, job) {
+        const previous = recipient.status;
+        
+        switch (job ? job.status : 'missing') {
+            case 'queued':
+            case 'sending':
+                recipient.status = 'queued';
+                recipient.jobId = job.id;
+                break;
+            case 'sent':
+                recipient.status = 'sent';
+                recipient.messageId = job.messageId;
+                recipient.sentAt = job.sentAt;
+                recipient.error = null;
+                if (job.messageId) {
+                    this.messageIds.set(job.messageId, { campaignId: campaign.id, index: recipient.index });
+                }
+                break;
+            case 'dead':
+                recipient.status = 'failed';
+                recipient.error = job.lastError;
+                break;
+            default:
+                // Cancelled by a pause (or lost in a crash): send it again once the campaign runs
+                recipient.jobId = null;
+                if (FINISHED.includes(campaign.status)) {
+                    recipient.status = 'cancelled';
+                } else {
+                    recipient.status = 'pending';
+                    campaign.cursor = Math.min(campaign.cursor, recipient.index);
+                }
+        }
+        
+        if (recipient.status === previous) {
+            return false;
+        }
+        
+        recipient.updatedAt = new Date().toISOString();
+        return true;
+    }
+    
+    // whatsapp-web.js acks: 2 = delivered, 3 = read, 4 = played, -1 = error
+    async handleAck(messageId, ack) {
+        const entry = this.messageIds.get(messageId);
+        const campaign = entry && this.campaigns.get(entry.campaignId);
+        const recipient = campaign?.recipients?.[entry.index];
+        if (!recipient || recipient.status !== 'sent') return;
+        
+        if (ack >= 2) {
+            recipient.status = 'delivered';
+            recipient.deliveredAt = new Date().toISOString();
+        } else if (ack === -1) {
+            recipient.status = 'failed';
+            recipient.error = 'WhatsApp could not deliver the message';
+        } else {
+            return;
+        }
+        
+        this.messageIds.delete(messageId);
+        recipient.updatedAt = new Date().toISOString();
+        await this.saveRecipient(recipient);
+        this.emit('recipient', campaign, recipient);
+        
+        if (FINISHED.includes(campaign.status)) {
+            await this.saveCampaign(campaign);
+        }
+    }
+    
+    getCampaign(campaignId) {
+        return this.campaigns.get(campaignId) || null;
+    }
+    
+    listCampaigns({ sessionId, status } = {}) {
+        return Array.from(this.campaigns.values())
+            .filter(campaign => (!sessionId || campaign.sessionId === sessionId) && (!status || campaign.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    
+    getCounts(campaign) {
+        if (!campaign.recipients) {
+            return campaign.counts || {};
+        }
+        
+        const counts = { pending: 0, queued: 0, sent: 0, delivered: 0, failed: 0, cancelled: 0 };
+        campaign.recipients.forEach(recipient => {
+            counts[recipient.status]++;
+        });
+        return counts;
+    }
+    
+    // Older campaigns are read from storage on request and not kept in memory
+    async getRecipients(campaign, { status, limit = 100, offset = 0 } = {}) {
+        const recipients = campaign.recipients || await this.loadRecipients(campaign.id);
+        const filtered = status ? recipients.filter(recipient => recipient.status === status) : recipients;
+        const start = Math.max(parseInt(offset) || 0, 0);
+        const max = Math.min(parseInt(limit) || 100, 1000);
+        
+        return {
+            total: filtered.length,
+            recipients: filtered.slice(start, start + max)
+        };
+    }
+    
+    describeCampaign(campaign) {
+        return {
+            campaignId: campaign.id,
+            sessionId: campaign.sessionId,
+            name: campaign.name,
+            template: campaign.template,
+            media: campaign.media
+                ? {
+                    mimeType: campaign.media.mimetype,
+                    filename: campaign.media.filename,
+                    size: campaign.media.filesize,
+                    sendAs: campaign.media.sendAs
+                }
+                : null,
+            status: campaign.status,
+            total: campaign.total,
+            counts: this.getCounts(campaign),
+            scheduledAt: campaign.scheduledAt,
+            createdAt: campaign.createdAt,
+            startedAt: campaign.startedAt,
+            completedAt: campaign.completedAt
+        };
+    }
+    
+    describeRecipient(recipient) {
+        return {
+            index: recipient.index,
+            phone: recipient.phone,
+            status: recipient.status,
+            variables: recipient.variables,
+            messageId: recipient.messageId,
+            error: recipient.error,
+            sentAt: recipient.sentAt,
+            deliveredAt: recipient.deliveredAt,
+            updatedAt: recipient.updatedAt
+        };
+    }
+    
+    async loadCampaigns() {
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute('SELECT * FROM campaigns ORDER BY created_at');
+                return rows.map(row => ({
+                    id: row.id,
+                    ownerId: row.owner_id,
+                    sessionId: row.session_id,
+                    name: row.name,
+                    template: row.template || '',
+                    media: row.media ? JSON.parse(row.media) : null,
+                    status: row.status,
+                    total: row.total,
+                    counts: row.counts ? JSON.parse(row.counts) : null,
+                    scheduledAt: new Date(row.scheduled_at).toISOString(),
+                    createdAt: new Date(row.created_at).toISOString(),
+                    startedAt: row.started_at ? new Date(row.started_at).toISOString() : null,
+                    completedAt: row.completed_at ? new Date(row.completed_at).toISOString() : null,
+                    cursor: 0,
+                    recipients: null
+                }));
+            } else if (this.localStore) {
+                const campaigns = await this.localStore.list('campaigns');
+                return campaigns.map(campaign => ({ ...campaign, cursor: 0, recipients: null }));
+            }
+        } catch (error) {
+            console.error('❌ Failed to load campaigns:', error.message);
+        }
+        
+        return [];
+    }
+    
+    async loadRecipients(campaignId) {
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute(
+                    'SELECT * FROM campaign_recipients WHERE campaign_id = ? ORDER BY idx',
+                    [campaignId]
+                );
+                return rows.map(row => ({
+                    campaignId: row.campaign_id,
+                    index: row.idx,
+                    phone: row.phone,
+                    variables: JSON.parse(row.variables || '{}'),
+                    status: row.status,
+                    jobId: row.job_id,
+                    messageId: row.message_id,
+                    error: row.error,
+                    sentAt: row.sent_at ? new Date(row.sent_at).toISOString() : null,
+                    deliveredAt: row.delivered_at ? new Date(row.delivered_at).toISOString() : null,
+                    updatedAt: new Date(row.updated_at).toISOString()
+                }));
+            } else if (this.localStore) {
+                const recipients = await this.localStore.list('campaign_recipients', recipient => recipient.campaignId === campaignId);
+                return recipients.sort((a, b) => a.index - b.index);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to load recipients of campaign ${campaignId}:`, error.message);
+        }
+        
+        return [];
+    }
+    
+    async saveCampaign(campaign) {
+        const { recipients, cursor, ...record } = campaign;
+        if (recipients) {
+            record.counts = campaign.counts = this.getCounts(campaign);
+        }
+        
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    `INSERT INTO campaigns
+                        (id, owner_id, session_id, name, template, media, status, total, counts,
+                         scheduled_at, created_at, started_at, completed_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE
+                        media = VALUES(media), status = VALUES(status), counts = VALUES(counts),
+                        started_at = VALUES(started_at), completed_at = VALUES(completed_at)`,
+                    [
+                        record.id, record.ownerId, record.sessionId, record.name, record.template,
+                        record.media ? JSON.stringify(record.media) : null, record.status, record.total,
+                        JSON.stringify(record.counts), new Date(record.scheduledAt), new Date(record.createdAt),
+                        record.startedAt ? new Date(record.startedAt) : null,
+                        record.completedAt ? new Date(record.completedAt) : null
+                    ]
+                );
+            } else if (this.localStore) {
+                await this.localStore.put('campaigns', record.id, record);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to save campaign ${campaign.id}:`, error.message);
+        }
+    }
+    
+    async saveRecipients(recipients) {
+        try {
+            if (this.dbPool) {
+                // Multi-row inserts in chunks keep large lists to a handful of queries
+                for (let start = 0; start < recipients.length; start += 500) {
+                    const rows = recipients.slice(start, start + 500).map(recipient => [
+                        recipient.campaignId, recipient.index, recipient.phone,
+                        JSON.stringify(recipient.variables), recipient.status
+                    ]);
+                    await this.dbPool.query(
+                        `INSERT INTO campaign_recipients (campaign_id, idx, phone, variables, status) VALUES ?
+                         ON DUPLICATE KEY UPDATE status = VALUES(status)`,
+                        [rows]
+                    );
+                }
+            } else if (this.localStore) {
+                for (const recipient of recipients) {
+                    await this.localStore.put('campaign_recipients', `${recipient.campaignId}:${recipient.index}`, { ...recipient });
+                }
+            }
+        } catch (error) {
+            console.error('❌ Failed to save campaign recipients:', error.message);
+        }
+    }
+    
+    async saveRecipient(recipient) {
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    `UPDATE campaign_recipients
+                     SET status = ?, job_id = ?, message_id = ?, error = ?, sent_at = ?, delivered_at = ?
+                     WHERE campaign_id = ? AND idx = ?`,
+                    [
+                        recipient.status, recipient.jobId, recipient.messageId, recipient.error,
+                        recipient.sentAt ? new Date(recipient.sentAt) : null,
+                        recipient.deliveredAt ? new Date(recipient.deliveredAt) : null,
+                        recipient.campaignId, recipient.index
+                    ]
+                );
+            } else if (this.localStore) {
+                await this.localStore.put('campaign_recipients', `${recipient.campaignId}:${recipient.index}`, { ...recipient });
+            }
+        } catch (error) {
+            // The recipient stays correct in memory and is saved again on its next change
+            console.error(`❌ Failed to save campaign recipient ${recipient.phone}:`, error.message);
+        }
+    }
+}
+
+module.exports = CampaignManager;
@@ -0,0 +1,196 @@
+// Chat commands such as /help. Commands are registered with an argument spec,
+// a permission level and localized descriptions; help text is built from the registry.
+const PERMISSION_LEVELS = {
+    everyone: 0,
+    owner: 1
+};
+
+const MESSAGES = {
+    english: {
+        help: 'Commands',
+        usage: 'Usage',
+        unknown: command => `Unknown command ${command}. Send /help to see what I can do.`,
+        denied: command => `Sorry, ${command} is only available to the owner.`,
+        failed: 'Something went wrong while running that command.'
+    },
+    hinglish: {
+        help: 'Commands',
+        usage: 'Aise use karo',
+        unknown: command => `${command} naam ka koi command nahi hai. /help bhejo sab commands dekhne ke liye.`,
+        denied: command => `Sorry, ${command} sirf owner use kar sakta hai.`,
+        failed: 'Command chalate waqt kuch gadbad ho gayi.'
+    },
+    hindi: {
+        help: 'कमांड',
+        usage: 'उपयोग',
+        unknown: command => `${command} नाम का कोई कमांड नहीं है। सभी कमांड देखने के लिए /help भेजें।`,
+        denied: command => `माफ करें, ${command} केवल मालिक के लिए है।`,
+        failed: 'कमांड चलाते समय कुछ गड़बड़ हो गई।'
+    }
+};
+
+class CommandRouter {
+    constructor(options = {}) {
+        this.prefix = options.prefix || '/';
+        this.commands = new Map();
+        this.aliases = new Map();
+    }
+    
+    // args: [{ name, type: 'string' | 'number' | 'list' | 'text', required }]
+    // 'text' takes the rest of the message and must come last
+    register(command) {
+        const definition = {
+            aliases: [],
+            args: [],
+            permission: 'everyone',
+            description: {},
+            ...command
+        };
+        
+        if (!definition.name || typeof definition.handler !== 'function') {
+            throw new Error('Commands need a name and a handler');
+        }
+        if (!(definition.permission in PERMISSION_LEVELS)) {
+            throw new Error(`Unknown permission level: ${definition.permission}`);
+        }
+        
+        this.commands.set(definition.name, definition);
+        definition.aliases.forEach(alias => this.aliases.set(alias, definition.name));
+        return this;
+    }
+    
+    isCommand(text) {
+        return typeof text === 'string' && text.trim().startsWith(this.prefix) && text.trim().length > this.prefix.length;
+    }
+    
+    getCommand(name) {
+        const key = name.toLowerCase();
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+    }
+    
+    getMessages(language) {
+        return MESSAGES[language] || MESSAGES.english;
+    }
+    
+    // Resolves to the reply text, or null when the message is not a command
+    async handle(text, context) {
+        if (!this.isCommand(text)) {
+            return null;
+        }
+        
+        const body = text.trim().substring(this.prefix.length);
+        const name = body.split(/\s+/)[0];
+        const rest = body.substring(name.length).trim();
+        const messages = this.getMessages(context.language);
+        const command = this.getCommand(name);
+        
+        if (!command) {
+            return messages.unknown(`${this.prefix}${name}`);
+        }
+        
+        if (!this.hasPermission(command, context.permission)) {
+            console.log(`🚫 ${context.fromNumber} is not allowed to run ${this.prefix}${command.name}`);
+            return messages.denied(`${this.prefix}${command.name}`);
+        }
+        
+        const parsed = this.parseArgs(command, rest);
+        if (parsed.error) {
+            return `${parsed.error}\n${messages.usage}: ${this.formatUsage(command)}`;
+        }
+        
+        try {
+            console.log(`⌨️ ${context.fromNumber} ran ${this.prefix}${command.name}`);
+            return await command.handler(parsed.args, { ...context, router: this });
+        } catch (error) {
+            console.error(`❌ Command ${command.name} failed:`, error);
+            return messages.failed;
+        }
+    }
+    
+    hasPermission(command, permission = 'everyone') {
+        return (PERMISSION_LEVELS[permission] || 0) >= PERMISSION_LEVELS[command.permission];
+    }
+    
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            tokens.push({
+                value: match[1] !== undefined ? match[1] : match[2],
+                index: match.index
+            });
+        }
+        
+        return tokens;
+    }
+    
+    parseArgs(command, text) {
+        const tokens = this.tokenize(text);
+        const args = {};
+        let position = 0;
+        
+        for (const spec of command.args) {
+            if (spec.type === 'text') {
+                const token = tokens[position];
+                args[spec.name] = token ? text.substring(token.index).trim() : '';
+                position = tokens.length;
+            } else {
+                const token = tokens[position++];
+                const value = token ? token.value : undefined;
+                
+                if (value === undefined) {
+                    args[spec.name] = spec.type === 'list' ? [] : null;
+                } else if (spec.type === 'number') {
+                    args[spec.name] = Number(value);
+                    if (Number.isNaN(args[spec.name])) {
+                        return { error: `${spec.name} must be a number` };
+                    }
+                } else if (spec.type === 'list') {
+                    args[spec.name] = value.split(',').map(item => item.trim()).filter(Boolean);
+                } else {
+                    args[spec.name] = value;
+                }
+            }
+            
+            const missing = args[spec.name] === null || args[spec.name] === '' ||
+                (Array.isArray(args[spec.name]) && args[spec.name].length === 0);
+            if (spec.required && missing) {
+                return { error: `Missing ${spec.name}` };
+            }
+        }
+        
+        return { args };
+    }
+    
+    formatUsage(command) {
+        const args = command.args.map(spec => spec.required ? `<${spec.name}>` : `[${spec.name}]`);
+        return [`${this.prefix}${command.name}`, ...args].join(' ');
+    }
+    
+    getDescription(command, language) {
+        return command.description[language] || command.description.english || '';
+    }
+    
+    // Help only lists what the caller is allowed to run
+    getHelp(language, permission = 'everyone', commandName = null) {
+        const messages = this.getMessages(language);
+        
+        if (commandName) {
+            const command = this.getCommand(commandName.replace(this.prefix, ''));
+            if (!command || !this.hasPermission(command, permission)) {
+                return messages.unknown(`${this.prefix}${commandName.replace(this.prefix, '')}`);
+            }
+            return `${this.formatUsage(command)}\n${this.getDescription(command, language)}`;
+        }
+        
+        const lines = Array.from(this.commands.values())
+            .filter(command => this.hasPermission(command, permission))
+            .map(command => `${this.formatUsage(command)} - ${this.getDescription(command, language)}`);
+        
+        return `🔧 ${messages.help}:\n${lines.join('\n')}`;
+    }
+}
+
+module.exports = CommandRouter;
@@ -0,0 +1,146 @@
+// Parses uploaded contact lists (CSV or JSON) into { phone, variables } entries.
+// Every column other than the phone number becomes a template variable.
+const PHONE_FIELDS = ['phone', 'number', 'mobile', 'whatsapp', 'to', 'phone_number', 'phonenumber'];
+
+// RFC 4180 style: quoted fields may contain commas, newlines and doubled quotes.
+// Spreadsheets in some locales export with semicolons instead of commas.
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function csvToRecords(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+        return [];
+    }
+    
+    const headers = rows[0].map(header => header.trim());
+    const hasHeader = headers.some(header => PHONE_FIELDS.includes(header.toLowerCase()));
+    
+    // A bare list of numbers without a header row
+    if (!hasHeader) {
+        return rows.map(cells => ({ phone: cells[0] }));
+    }
+    
+    return rows.slice(1).map(cells => {
+        const record = {};
+        headers.forEach((header, index) => {
+            if (header) {
+                record[header] = (cells[index] || '').trim();
+            }
+        });
+        return record;
+    });
+}
+
+function normalizePhone(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 8 && digits.length <= 15 ? digits : null;
+}
+
+// format is 'csv', 'json' or null to detect it from the content.
+// Returns { contacts, invalid: [{ row, reason }], duplicates }
+function parseContacts(input, format = null) {
+    let records;
+    
+    if (Array.isArray(input)) {
+        records = input;
+    } else {
+        const text = String(input || '').trim();
+        const detected = format || (text.startsWith('[') || text.startsWith('{') ? 'json' : 'csv');
+        
+        if (detected === 'json') {
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Contact list is not valid JSON: ${error.message}`);
+            }
+            records = Array.isArray(parsed) ? parsed : parsed.contacts;
+            if (!Array.isArray(records)) {
+                throw new Error('JSON contact lists must be an array or { contacts: [...] }');
+            }
+        } else {
+            records = csvToRecords(text);
+        }
+    }
+    
+    const contacts = [];
+    const invalid = [];
+    const seen = new Set();
+    let duplicates = 0;
+    
+    records.forEach((record, index) => {
+        const row = index + 1;
+        const fields = typeof record === 'object' && record !== null ? record : { phone: record };
+        const phoneKey = Object.keys(fields).find(key => PHONE_FIELDS.includes(key.toLowerCase()));
+        const phone = normalizePhone(phoneKey ? fields[phoneKey] : null);
+        
+        if (!phone) {
+            invalid.push({ row, reason: phoneKey ? `Invalid phone number: ${fields[phoneKey]}` : 'Missing phone number' });
+            return;
+        }
+        if (seen.has(phone)) {
+            duplicates++;
+            return;
+        }
+        seen.add(phone);
+        
+        const variables = {};
+        for (const [key, value] of Object.entries(fields)) {
+            if (key !== phoneKey && value !== undefined && value !== null && typeof value !== 'object') {
+                variables[key] = String(value);
+            }
+        }
+        
+        contacts.push({ phone, variables });
+    });
+    
+    return { contacts, invalid, duplicates };
+}
+
+module.exports = {
+    parseCsv,
+    parseContacts,
+    normalizePhone
+};
@@ -0,0 +1,184 @@
+// Per-contact conversation memory: recent turns plus a rolling summary of older ones.
+// Persists to MySQL when available, otherwise to the local JSON store.
+class ConversationMemory {
+    constructor(options = {}) {
+        this.dbPool = null;
+        this.localStore = null;
+        this.cache = new Map();
+        
+        this.keepRecent = options.keepRecent || parseInt(process.env.MEMORY_KEEP_RECENT) || 10;
+        this.summarizeAfter = Math.max(
+            parseInt(process.env.MEMORY_SUMMARIZE_AFTER) || 20,
+            this.keepRecent + 1
+        );
+        // Hard cap in case summarization keeps failing
+        this.maxTurns = this.summarizeAfter * 2;
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    getKey(sessionId, contact) {
+        return `${sessionId || 'default'}:${contact}`;
+    }
+    
+    async get(sessionId, contact) {
+        const key = this.getKey(sessionId, contact);
+        let memory = this.cache.get(key);
+        
+        if (!memory) {
+            memory = await this.load(sessionId || 'default', contact);
+            // Another request may have loaded it while we were waiting
+            memory = this.cache.get(key) || memory;
+            this.cache.set(key, memory);
+        }
+        
+        memory.lastAccess = Date.now();
+        return memory;
+    }
+    
+    async load(sessionId, contact) {
+        const memory = {
+            sessionId,
+            contact,
+            summary: null,
+            turns: [],
+            lastAccess: Date.now()
+        };
+        
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute(
+                    'SELECT summary, turns FROM conversation_memory WHERE session_id = ? AND contact = ?',
+                    [sessionId, contact]
+                );
+                if (rows[0]) {
+                    memory.summary = rows[0].summary;
+                    memory.turns = JSON.parse(rows[0].turns || '[]');
+                }
+            } else if (this.localStore) {
+                const stored = await this.localStore.get('conversation_memory', this.getKey(sessionId, contact));
+                if (stored) {
+                    memory.summary = stored.summary;
+                    memory.turns = stored.turns || [];
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Failed to load memory for ${contact}:`, error.message);
+        }
+        
+        return memory;
+    }
+    
+    async save(memory) {
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    `INSERT INTO conversation_memory (session_id, contact, summary, turns)
+                     VALUES (?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE summary = VALUES(summary), turns = VALUES(turns)`,
+                    [memory.sessionId, memory.contact, memory.summary, JSON.stringify(memory.turns)]
+                );
+            } else if (this.localStore) {
+                await this.localStore.put('conversation_memory', this.getKey(memory.sessionId, memory.contact), {
+                    sessionId: memory.sessionId,
+                    contact: memory.contact,
+                    summary: memory.summary,
+                    turns: memory.turns,
+                    updatedAt: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to save memory for ${memory.contact}:`, error.message);
+        }
+    }
+    
+    async addTurn(sessionId, contact, turn) {
+        const memory = await this.get(sessionId, contact);
+        
+        memory.turns.push({
+            ...turn,
+            timestamp: new Date().toISOString()
+        });
+        
+        if (memory.turns.length > this.maxTurns) {
+            memory.turns = memory.turns.slice(-this.maxTurns);
+        }
+        
+        await this.save(memory);
+        return memory;
+    }
+    
+    needsCompaction(memory) {
+        return !memory.compacting && memory.turns.length > this.summarizeAfter;
+    }
+    
+    async compact(memory, summarize) {
+        if (memory.compacting) return false;
+        memory.compacting = true;
+        
+        try {
+            const older = memory.turns.slice(0, -this.keepRecent);
+            const summary = await summarize(memory.summary, older);
+            
+            if (!summary) {
+                console.log(`⚠️ Memory summarization returned nothing for ${memory.contact}`);
+                return false;
+            }
+            
+            // Turns may have been added while the summary was generated, and the maxTurns cap
+            // may have trimmed some from the front, so cut after the last summarized turn itself.
+            // If the cap already dropped it, every remaining turn is newer.
+            const lastSummarized = memory.turns.lastIndexOf(older[older.length - 1]);
+            memory.turns = memory.turns.slice(lastSummarized + 1);
+            memory.summary = summary;
+            await this.save(memory);
+            
+            console.log(`🧠 Compacted ${older.length} turns into summary for ${memory.contact}`);
+            return true;
+        } finally {
+            memory.compacting = false;
+        }
+    }
+    
+    async clear(sessionId, contact) {
+        const key = this.getKey(sessionId, contact);
+        this.cache.delete(key);
+        
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    'DELETE FROM conversation_memory WHERE session_id = ? AND contact = ?',
+                    [sessionId || 'default', contact]
+                );
+            } else if (this.localStore) {
+                await this.localStore.remove('conversation_memory', key);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to clear memory for ${contact}:`, error.message);
+        }
+    }
+    
+    evictIdle(maxAge) {
+        const now = Date.now();
+        let evicted = 0;
+        
+        // Only the cache is trimmed; persisted memory stays
+        for (const [key, memory] of this.cache.entries()) {
+            if (now - memory.lastAccess > maxAge && !memory.compacting) {
+                this.cache.delete(key);
+                evicted++;
+            }
+        }
+        
+        return evicted;
+    }
+    
+    getCachedMemories() {
+        return Array.from(this.cache.values());
+    }
+}
+
+module.exports = ConversationMemory;
@@ -0,0 +1,100 @@
+// Decides which group chat messages the bot answers. Groups are switched on or off one
+// by one (kept in the settings store under the session); in an enabled group the bot only
+// answers messages that @mention it, quote one of its messages, or are chat commands.
+class GroupPolicy {
+    constructor(options = {}) {
+        this.settings = options.settings;
+        this.enabledByDefault = process.env.GROUPS_ENABLED_BY_DEFAULT !== 'false';
+    }
+    
+    isGroup(chatId) {
+        return typeof chatId === 'string' && chatId.endsWith('@g.us');
+    }
+    
+    getScope(sessionId) {
+        return `session:${sessionId}`;
+    }
+    
+    // { [groupId]: { enabled, name, updatedAt } } for groups that were switched explicitly
+    getGroups(sessionId) {
+        return this.settings.get(this.getScope(sessionId), 'groups', {});
+    }
+    
+    isEnabled(sessionId, groupId) {
+        const group = this.getGroups(sessionId)[groupId];
+        return group ? group.enabled : this.enabledByDefault;
+    }
+    
+    async setEnabled(sessionId, groupId, enabled, name = null) {
+        const groups = { ...this.getGroups(sessionId) };
+        groups[groupId] = {
+            enabled,
+            name: name || groups[groupId]?.name || null,
+            updatedAt: new Date().toISOString()
+        };
+        
+        await this.settings.set(this.getScope(sessionId), 'groups', groups);
+        console.log(`👥 Group ${groupId} ${enabled ? 'enabled' : 'disabled'} for session ${sessionId}`);
+        return groups[groupId];
+    }
+    
+    // True when the message @mentions the linked number or replies to one of the bot's messages
+    async isAddressed(message, session) {
+        const ownId = session.client?.info?.wid?._serialized;
+        const mentioned = (message.mentionedIds || []).some(id => (id._serialized || id) === ownId);
+        if (ownId && mentioned) {
+            return true;
+        }
+        
+        if (message.hasQuotedMsg) {
+            try {
+                const quoted = await message.getQuotedMessage();
+                return Boolean(quoted?.fromMe);
+            } catch (error) {
+                console.error('❌ Could not load quoted message:', error.message);
+            }
+        }
+        
+        return false;
+    }
+    
+    // "@919876543210 what time do you open?" -> "what time do you open?"
+    stripMention(text, session) {
+        const ownNumber = session.client?.info?.wid?.user;
+        if (!ownNumber || !text) {
+            return text;
+        }
+        return text.replace(new RegExp(`@${ownNumber}\\b`, 'g'), '').replace(/\s{2,}/g, ' ').trim();
+    }
+    
+    // Groups the linked phone is in, with their policy; falls back to the stored list when offline
+    async listGroups(session, sessionId) {
+        const stored = this.getGroups(sessionId);
+        const groups = new Map();
+        
+        if (session?.isReady) {
+            const chats = await session.client.getChats();
+            chats.filter(chat => chat.isGroup).forEach(chat => {
+                groups.set(chat.id._serialized, {
+                    groupId: chat.id._serialized,
+                    name: chat.name,
+                    participants: chat.participants ? chat.participants.length : null
+                });
+            });
+        }
+        
+        for (const [groupId, group] of Object.entries(stored)) {
+            if (!groups.has(groupId)) {
+                groups.set(groupId, { groupId, name: group.name, participants: null });
+            }
+        }
+        
+        return Array.from(groups.values()).map(group => ({
+            ...group,
+            enabled: this.isEnabled(sessionId, group.groupId),
+            explicit: group.groupId in stored
+        }));
+    }
+}
+
+module.exports = GroupPolicy;
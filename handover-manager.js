@@ -0,0 +1,218 @@
+const EventEmitter = require('events');
+
+const BOT_ECHO_GRACE = 3000; // message_create for our own sends can arrive before the queue learns the message id
+const BOT_MESSAGE_TTL = 10 * 60 * 1000;
+
+// Hands a chat over to a human. When the owner types into a chat from their phone, the bot
+// stays quiet in that chat for a while; "!bot off" and "!bot on" pause and resume it for
+// good. Pauses are kept in the settings store under the session:
+//   { [chatId]: { pausedUntil: ISO date or null for no end, reason, pausedAt } }
+// Emits 'updated' (sessionId, chatId, state) whenever a chat is paused or resumed.
+class HandoverManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.settings = options.settings;
+        this.defaultMinutes = parseInt(process.env.HANDOVER_PAUSE_MINUTES) || 30;
+        
+        // Ids of messages the queue sent, so they are not mistaken for the owner typing
+        this.botMessages = new Map();
+        this.timers = new Map();
+    }
+    
+    getScope(sessionId) {
+        return `session:${sessionId}`;
+    }
+    
+    getPauseMinutes(sessionId) {
+        return this.settings.get(this.getScope(sessionId), 'handover_minutes', this.defaultMinutes);
+    }
+    
+    async setPauseMinutes(sessionId, minutes) {
+        if (minutes === null) {
+            await this.settings.remove(this.getScope(sessionId), 'handover_minutes');
+        } else {
+            await this.settings.set(this.getScope(sessionId), 'handover_minutes', minutes);
+        }
+        return this.getPauseMinutes(sessionId);
+    }
+    
+    getPauses(sessionId) {
+        return this.settings.get(this.getScope(sessionId), 'handover', {});
+    }
+    
+    isActive(pause, now = Date.now()) {
+        return Boolean(pause) && (pause.pausedUntil === null || new Date(pause.pausedUntil).getTime() > now);
+    }
+    
+    isPaused(sessionId, chatId) {
+        return this.isActive(this.getPauses(sessionId)[chatId]);
+    }
+    
+    describe(chatId, pause) {
+        const paused = this.isActive(pause);
+        return {
+            chatId,
+            paused,
+            pausedUntil: paused ? pause.pausedUntil : null,
+            reason: paused ? pause.reason : null,
+            pausedAt: paused ? pause.pausedAt : null
+        };
+    }
+    
+    // Chats that are paused right now
+    listPauses(sessionId) {
+        return Object.entries(this.getPauses(sessionId))
+            .filter(([, pause]) => this.isActive(pause))
+            .map(([chatId, pause]) => this.describe(chatId, pause));
+    }
+    
+    // minutes === null pauses until the chat is resumed
+    async pause(sessionId, chatId, minutes, reason) {
+        const pauses = { ...this.getPauses(sessionId) };
+        pauses[chatId] = {
+            pausedUntil: minutes === null ? null : new Date(Date.now() + minutes * 60000).toISOString(),
+            reason,
+            pausedAt: new Date().toISOString()
+        };
+        
+        await this.save(sessionId, pauses);
+        this.armExpiry(sessionId, chatId, pauses[chatId]);
+        
+        console.log(`🙋 Bot paused in ${chatId} (${reason}) ${minutes === null ? 'until resumed' : `for ${minutes} min`}`);
+        const state = this.describe(chatId, pauses[chatId]);
+        this.emit('updated', sessionId, chatId, state);
+        return state;
+    }
+    
+    async resume(sessionId, chatId) {
+        const pauses = { ...this.getPauses(sessionId) };
+        const wasPaused = this.isActive(pauses[chatId]);
+        
+        if (chatId in pauses) {
+            delete pauses[chatId];
+            await this.save(sessionId, pauses);
+        }
+        this.disarmExpiry(sessionId, chatId);
+        
+        const state = this.describe(chatId, null);
+        if (wasPaused) {
+            console.log(`🤖 Bot resumed in ${chatId}`);
+            this.emit('updated', sessionId, chatId, state);
+        }
+        return state;
+    }
+    
+    // Expired pauses are dropped lazily as well, so nothing is lost when a timer did not survive a restart
+    async save(sessionId, pauses) {
+        const now = Date.now();
+        const active = Object.fromEntries(Object.entries(pauses).filter(([, pause]) => this.isActive(pause, now)));
+        
+        if (Object.keys(active).length === 0) {
+            await this.settings.remove(this.getScope(sessionId), 'handover');
+        } else {
+            await this.settings.set(this.getScope(sessionId), 'handover', active);
+        }
+    }
+    
+    armExpiry(sessionId, chatId, pause) {
+        this.disarmExpiry(sessionId, chatId);
+        if (pause.pausedUntil === null) return;
+        
+        const timer = setTimeout(() => {
+            this.timers.delete(`${sessionId}:${chatId}`);
+            this.resume(sessionId, chatId).catch(error => {
+                console.error('❌ Failed to resume bot after handover:', error);
+            });
+        }, Math.max(new Date(pause.pausedUntil).getTime() - Date.now(), 0));
+        timer.unref?.();
+        this.timers.set(`${sessionId}:${chatId}`, timer);
+    }
+    
+    disarmExpiry(sessionId, chatId) {
+        const key = `${sessionId}:${chatId}`;
+        if (this.timers.has(key)) {
+            clearTimeout(this.timers.get(key));
+            this.timers.delete(key);
+        }
+    }
+    
+    // "919876543210" -> "919876543210@c.us"; chat ids are kept as they are
+    normalizeChatId(value) {
+        const text = String(value || '').trim();
+        if (/^[\d-]+@(c|g)\.us$/.test(text)) {
+            return text;
+        }
+        return /^\d{6,15}$/.test(text) ? `${text}@c.us` : null;
+    }
+    
+    // Returns an error message for an invalid { paused, minutes } change, or null
+    validateChange({ paused, minutes } = {}) {
+        if (typeof paused !== 'boolean') {
+            return 'paused must be true or false';
+        }
+        if (minutes !== undefined && minutes !== null && !(Number.isInteger(minutes) && minutes >= 1 && minutes <= 10080)) {
+            return 'minutes must be an integer between 1 and 10080, or null to pause until resumed';
+        }
+        return null;
+    }
+    
+    // Pause or resume from the API or a dashboard; without minutes the pause has no end
+    async setPaused(sessionId, chatId, { paused, minutes = null }) {
+        return paused
+            ? this.pause(sessionId, chatId, minutes, 'api')
+            : this.resume(sessionId, chatId);
+    }
+    
+    trackBotMessage(messageId) {
+        if (!messageId) return;
+        
+        const now = Date.now();
+        this.botMessages.set(messageId, now);
+        for (const [id, sentAt] of this.botMessages) {
+            if (now - sentAt < BOT_MESSAGE_TTL) break;
+            this.botMessages.delete(id);
+        }
+    }
+    
+    // "!bot off" -> 'off', "!bot on" -> 'on'
+    parseCommand(text) {
+        const match = String(text || '').trim().toLowerCase().match(/^!bot\s+(on|off)$/);
+        return match ? match[1] : null;
+    }
+    
+    // Called for every fromMe message. Resolves to the new pause state, or null when the
+    // message was sent by the bot or changed nothing.
+    async handleOutgoing(message, session) {
+        const chatId = message.to;
+        const ownId = session.client?.info?.wid?._serialized;
+        if (!chatId || chatId === ownId || chatId === 'status@broadcast') {
+            return null;
+        }
+        
+        const command = this.parseCommand(message.body);
+        if (command === 'off') {
+            return this.pause(session.id, chatId, null, 'command');
+        }
+        if (command === 'on') {
+            return this.resume(session.id, chatId);
+        }
+        
+        const messageId = message.id?._serialized;
+        if (!this.botMessages.has(messageId)) {
+            await new Promise(resolve => setTimeout(resolve, BOT_ECHO_GRACE));
+        }
+        if (this.botMessages.has(messageId)) {
+            return null;
+        }
+        
+        // A manual reply never shortens a pause the owner set with !bot off
+        const current = this.getPauses(session.id)[chatId];
+        if (this.isActive(current) && current.pausedUntil === null) {
+            return null;
+        }
+        
+        return this.pause(session.id, chatId, this.getPauseMinutes(session.id), 'manual_reply');
+    }
+}
+
+module.exports = HandoverManager;
@@ -0,0 +1,123 @@
+// Remembers which job an idempotency key produced so a retried API request does not send
+// the same message twice. Keys are scoped (e.g. per session) and expire after
+// IDEMPOTENCY_TTL_HOURS. A key is reserved before the job exists, so two identical requests
+// racing each other cannot both get through.
+class IdempotencyStore {
+    constructor() {
+        this.dbPool = null;
+        this.localStore = null;
+        this.records = new Map(); // `${scope}:${key}` -> { scope, key, fingerprint, jobId, createdAt }
+        this.ttl = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    getKey(scope, key) {
+        return `${scope}:${key}`;
+    }
+    
+    isExpired(record) {
+        return Date.now() - new Date(record.createdAt).getTime() > this.ttl;
+    }
+    
+    async load() {
+        let records = [];
+        
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute(
+                    'SELECT scope, idempotency_key, fingerprint, job_id, created_at FROM idempotency_keys WHERE created_at > ?',
+                    [new Date(Date.now() - this.ttl)]
+                );
+                records = rows.map(row => ({
+                    scope: row.scope,
+                    key: row.idempotency_key,
+                    fingerprint: row.fingerprint,
+                    jobId: row.job_id,
+                    createdAt: new Date(row.created_at).toISOString()
+                }));
+            } else if (this.localStore) {
+                records = await this.localStore.list('idempotency_keys', record => !this.isExpired(record));
+            }
+        } catch (error) {
+            console.error('❌ Failed to load idempotency keys:', error.message);
+        }
+        
+        this.records.clear();
+        records.forEach(record => this.records.set(this.getKey(record.scope, record.key), record));
+    }
+    
+    // Returns the existing record for the key, or null after reserving it for this request
+    reserve(scope, key, fingerprint) {
+        const existing = this.records.get(this.getKey(scope, key));
+        if (existing && !this.isExpired(existing)) {
+            return existing;
+        }
+        
+        this.records.set(this.getKey(scope, key), {
+            scope,
+            key,
+            fingerprint,
+            jobId: null,
+            createdAt: new Date().toISOString()
+        });
+        return null;
+    }
+    
+    async complete(scope, key, jobId) {
+        const record = this.records.get(this.getKey(scope, key));
+        record.jobId = jobId;
+        
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    `INSERT INTO idempotency_keys (scope, idempotency_key, fingerprint, job_id, created_at)
+                     VALUES (?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE fingerprint = VALUES(fingerprint), job_id = VALUES(job_id), created_at = VALUES(created_at)`,
+                    [scope, key, record.fingerprint, jobId, new Date(record.createdAt)]
+                );
+            } else if (this.localStore) {
+                await this.localStore.put('idempotency_keys', this.getKey(scope, key), { ...record });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to save idempotency key ${key}:`, error.message);
+        }
+    }
+    
+    // Frees a reserved key when the request failed before anything was sent
+    release(scope, key) {
+        const record = this.records.get(this.getKey(scope, key));
+        if (record && !record.jobId) {
+            this.records.delete(this.getKey(scope, key));
+        }
+    }
+    
+    async cleanup() {
+        for (const [id, record] of this.records) {
+            if (this.isExpired(record)) {
+                this.records.delete(id);
+            }
+        }
+        
+        try {
+            if (this.dbPool) {
+                const [result] = await this.dbPool.execute(
+                    'DELETE FROM idempotency_keys WHERE created_at < ?',
+                    [new Date(Date.now() - this.ttl)]
+                );
+                return result.affectedRows;
+            } else if (this.localStore) {
+                return await this.localStore.removeWhere('idempotency_keys', record => this.isExpired(record));
+            }
+        } catch (error) {
+            console.error('❌ Idempotency key cleanup failed:', error.message);
+        }
+        
+        return 0;
+    }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,76 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Shared inbox for dashboards: chats and message history are read straight from the linked
+// phone, and every message (incoming or outgoing, answered or not) has the same shape on
+// the API and over Socket.IO.
+class Inbox {
+    getLimit(value) {
+        return Math.min(Math.max(parseInt(value) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    }
+    
+    toIso(timestamp) {
+        return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+    }
+    
+    describeMessage(message) {
+        return {
+            id: message.id?._serialized || null,
+            chatId: message.fromMe ? message.to : message.from,
+            direction: message.fromMe ? 'outgoing' : 'incoming',
+            // In groups the author is the person who wrote the message
+            sender: message.author || message.from,
+            type: message.type || 'chat',
+            body: message.body || '',
+            hasMedia: Boolean(message.hasMedia),
+            hasQuotedMsg: Boolean(message.hasQuotedMsg),
+            ack: message.ack ?? null,
+            timestamp: this.toIso(message.timestamp) || new Date().toISOString()
+        };
+    }
+    
+    describeChat(chat) {
+        return {
+            chatId: chat.id._serialized,
+            name: chat.name || chat.id.user || chat.id._serialized,
+            isGroup: Boolean(chat.isGroup),
+            unreadCount: chat.unreadCount || 0,
+            archived: Boolean(chat.archived),
+            pinned: Boolean(chat.pinned),
+            muted: Boolean(chat.isMuted),
+            lastMessage: chat.lastMessage ? this.describeMessage(chat.lastMessage) : null,
+            timestamp: this.toIso(chat.timestamp)
+        };
+    }
+    
+    // Most recent chats first; unread: true keeps only chats with unread messages
+    async listChats(session, { limit, offset, unread } = {}) {
+        const chats = (await session.client.getChats())
+            .filter(chat => !unread || chat.unreadCount > 0)
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+        const start = Math.max(parseInt(offset) || 0, 0);
+        
+        return {
+            total: chats.length,
+            unread: chats.filter(chat => chat.unreadCount > 0).length,
+            chats: chats.slice(start, start + this.getLimit(limit)).map(chat => this.describeChat(chat))
+        };
+    }
+    
+    // Resolves to null when the phone has no such chat
+    async getChat(session, chatId) {
+        try {
+            return await session.client.getChatById(chatId);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // The last `limit` messages of the chat, oldest first
+    async getMessages(chat, { limit } = {}) {
+        const messages = await chat.fetchMessages({ limit: this.getLimit(limit) });
+        return messages.map(message => this.describeMessage(message));
+    }
+}
+
+module.exports = Inbox;
@@ -0,0 +1,274 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Common words that carry no meaning for retrieval (English and Hinglish)
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'been', 'to', 'of', 'in',
+    'on', 'at', 'for', 'with', 'by', 'from', 'as', 'it', 'its', 'this', 'that', 'these', 'those',
+    'i', 'you', 'he', 'she', 'we', 'they', 'me', 'my', 'your', 'our', 'their', 'do', 'does', 'did',
+    'can', 'could', 'will', 'would', 'should', 'what', 'which', 'who', 'how', 'when', 'where', 'why',
+    'if', 'so', 'not', 'no', 'yes', 'please', 'hi', 'hello', 'hey', 'q',
+    'hai', 'hain', 'kya', 'ka', 'ki', 'ke', 'ko', 'me', 'mein', 'se', 'pe', 'par', 'aur', 'ho', 'tha', 'bhi'
+]);
+
+// Local keyword search over uploaded documents using BM25.
+// Documents without a session apply to every session of the same owner.
+class KnowledgeBase {
+    constructor() {
+        this.dbPool = null;
+        this.localStore = null;
+        
+        this.documents = new Map();
+        this.chunks = [];
+        this.postings = new Map(); // term -> [{ chunk, tf }]
+        
+        this.chunkSize = parseInt(process.env.KB_CHUNK_SIZE) || 800;
+        this.topK = parseInt(process.env.KB_TOP_K) || 3;
+        this.minScore = parseFloat(process.env.KB_MIN_SCORE) || 1.0;
+        
+        // BM25 tuning
+        this.k1 = 1.2;
+        this.b = 0.75;
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    async load() {
+        let documents = [];
+        
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute(
+                    `SELECT id, owner_id, session_id, title, filename, format, content, created_at
+                     FROM knowledge_documents`
+                );
+                documents = rows.map(row => ({
+                    id: row.id,
+                    ownerId: row.owner_id,
+                    sessionId: row.session_id,
+                    title: row.title,
+                    filename: row.filename,
+                    format: row.format,
+                    content: row.content,
+                    createdAt: row.created_at
+                }));
+            } else if (this.localStore) {
+                documents = await this.localStore.list('knowledge_documents');
+            }
+        } catch (error) {
+            console.error('❌ Failed to load knowledge base:', error.message);
+        }
+        
+        this.documents.clear();
+        documents.forEach(document => this.documents.set(document.id, document));
+        this.rebuildIndex();
+        
+        console.log(`📚 Knowledge base loaded: ${this.documents.size} documents, ${this.chunks.length} passages`);
+    }
+    
+    async addDocument({ title, content, filename, format, sessionId, ownerId }) {
+        const document = {
+            id: uuidv4(),
+            ownerId: ownerId || null,
+            sessionId: sessionId || null,
+            title: title || filename || 'Untitled',
+            filename: filename || null,
+            format: format || this.detectFormat(filename),
+            content,
+            createdAt: new Date().toISOString()
+        };
+        
+        if (this.dbPool) {
+            await this.dbPool.execute(
+                `INSERT INTO knowledge_documents (id, owner_id, session_id, title, filename, format, content)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [document.id, document.ownerId, document.sessionId, document.title,
+                    document.filename, document.format, document.content]
+            );
+        } else if (this.localStore) {
+            await this.localStore.put('knowledge_documents', document.id, document);
+        }
+        
+        this.documents.set(document.id, document);
+        this.rebuildIndex();
+        
+        console.log(`📚 Indexed document "${document.title}" (${document.id})`);
+        return this.describeDocument(document);
+    }
+    
+    async removeDocument(documentId) {
+        if (!this.documents.has(documentId)) {
+            return false;
+        }
+        
+        if (this.dbPool) {
+            await this.dbPool.execute('DELETE FROM knowledge_documents WHERE id = ?', [documentId]);
+        } else if (this.localStore) {
+            await this.localStore.remove('knowledge_documents', documentId);
+        }
+        
+        this.documents.delete(documentId);
+        this.rebuildIndex();
+        return true;
+    }
+    
+    getDocument(documentId) {
+        return this.documents.get(documentId) || null;
+    }
+    
+    listDocuments(filter = null) {
+        const documents = Array.from(this.documents.values());
+        return (filter ? documents.filter(filter) : documents).map(document => this.describeDocument(document));
+    }
+    
+    describeDocument(document) {
+        return {
+            id: document.id,
+            title: document.title,
+            filename: document.filename,
+            format: document.format,
+            sessionId: document.sessionId,
+            ownerId: document.ownerId,
+            size: document.content.length,
+            passages: this.chunks.filter(chunk => chunk.documentId === document.id).length,
+            createdAt: document.createdAt
+        };
+    }
+    
+    detectFormat(filename) {
+        if (/\.(md|markdown)$/i.test(filename || '')) return 'markdown';
+        return 'text';
+    }
+    
+    appliesTo(document, { sessionId, ownerId }) {
+        if (document.sessionId) {
+            return document.sessionId === sessionId;
+        }
+        return (document.ownerId || null) === (ownerId || null);
+    }
+    
+    // Document frequencies and lengths are counted over the passages the scope can see, so one
+    // owner's documents never change how another owner's passages rank
+    search(query, scope = {}, limit = this.topK) {
+        const terms = this.tokenize(query);
+        const chunks = new Set(this.chunks.filter(chunk => this.appliesTo(this.documents.get(chunk.documentId), scope)));
+        if (terms.length === 0 || chunks.size === 0) {
+            return [];
+        }
+        
+        let totalLength = 0;
+        chunks.forEach(chunk => {
+            totalLength += chunk.length;
+        });
+        const averageLength = totalLength / chunks.size;
+        const scores = new Map();
+        
+        for (const term of new Set(terms)) {
+            const postings = (this.postings.get(term) || []).filter(({ chunk }) => chunks.has(chunk));
+            if (postings.length === 0) continue;
+            
+            const idf = Math.log(1 + (chunks.size - postings.length + 0.5) / (postings.length + 0.5));
+            
+            for (const { chunk, tf } of postings) {
+                const norm = tf + this.k1 * (1 - this.b + this.b * chunk.length / averageLength);
+                const score = idf * (tf * (this.k1 + 1)) / norm;
+                scores.set(chunk, (scores.get(chunk) || 0) + score);
+            }
+        }
+        
+        return Array.from(scores.entries())
+            .filter(([, score]) => score >= this.minScore)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([chunk, score]) => ({
+                documentId: chunk.documentId,
+                title: this.documents.get(chunk.documentId).title,
+                text: chunk.text,
+                score: Math.round(score * 100) / 100
+            }));
+    }
+    
+    rebuildIndex() {
+        this.chunks = [];
+        this.postings.clear();
+        
+        for (const document of this.documents.values()) {
+            for (const text of this.chunkDocument(document.content, document.format)) {
+                const terms = this.tokenize(text);
+                if (terms.length === 0) continue;
+                
+                const chunk = { documentId: document.id, text, length: terms.length };
+                this.chunks.push(chunk);
+                
+                const counts = new Map();
+                terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+                
+                for (const [term, tf] of counts) {
+                    if (!this.postings.has(term)) {
+                        this.postings.set(term, []);
+                    }
+                    this.postings.get(term).push({ chunk, tf });
+                }
+            }
+        }
+    }
+    
+    // Splits on blank lines so FAQ entries and paragraphs stay whole, then packs
+    // them into passages of about chunkSize characters. Markdown passages keep
+    // their section heading so the model knows what they are about.
+    chunkDocument(content, format) {
+        const chunks = [];
+        let heading = '';
+        let current = '';
+        
+        const push = () => {
+            if (current.trim()) {
+                chunks.push(current.trim());
+            }
+            current = '';
+        };
+        
+        for (const block of content.split(/\n\s*\n/)) {
+            const paragraph = block.trim();
+            if (!paragraph) continue;
+            
+            if (format === 'markdown' && /^#{1,6}\s/.test(paragraph)) {
+                push();
+                const lines = paragraph.split('\n');
+                heading = lines[0].replace(/^#+\s*/, '');
+                current = lines.length > 1 ? `${heading}\n${lines.slice(1).join('\n')}` : '';
+                continue;
+            }
+            
+            if (current && current.length + paragraph.length > this.chunkSize) {
+                push();
+            }
+            
+            if (!current && heading) {
+                current = heading;
+            }
+            current = current ? `${current}\n${paragraph}` : paragraph;
+            
+            // A single huge paragraph is cut at sentence boundaries
+            while (current.length > this.chunkSize * 1.5) {
+                const cut = current.lastIndexOf('. ', this.chunkSize);
+                const at = cut > this.chunkSize / 2 ? cut + 1 : this.chunkSize;
+                chunks.push(current.substring(0, at).trim());
+                current = current.substring(at).trim();
+            }
+        }
+        
+        push();
+        return chunks;
+    }
+    
+    tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(term => term.length > 1 && !STOPWORDS.has(term))
+            .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) ? term.slice(0, -1) : term);
+    }
+}
+
+module.exports = KnowledgeBase;
@@ -0,0 +1,294 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Every provider implements generate(request, options) and resolves to the raw reply text or null.
+// request is { systemInstruction, messages } with messages as { role: 'user' | 'assistant', content }.
+// A message may also carry attachments: [{ mimeType, data (base64), filename }]
+class LLMProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.model = options.model || null;
+        this.timeout = options.timeout || 15000;
+        this.defaults = {
+            temperature: 0.8,
+            topP: 0.95,
+            maxOutputTokens: 200
+        };
+    }
+    
+    async generate(request, options = {}) {
+        throw new Error(`Provider ${this.name} does not implement generate()`);
+    }
+    
+    // Whether attachments of this type can be sent to the model
+    supportsAttachment(mimeType) {
+        return false;
+    }
+    
+    logRequestError(error) {
+        if (error.response) {
+            console.error(`❌ ${this.name} API error:`, error.response.status, error.response.data);
+        } else if (error.request) {
+            console.error(`❌ ${this.name} API network error:`, error.message);
+        } else {
+            console.error(`❌ ${this.name} API setup error:`, error.message);
+        }
+    }
+    
+    healthCheck() {
+        return {
+            provider: this.name,
+            model: this.model
+        };
+    }
+}
+
+class GeminiProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('gemini', {
+            ...options,
+            model: options.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash'
+        });
+        
+        this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+        if (!this.apiKey) {
+            throw new Error('Gemini API key is required');
+        }
+    }
+    
+    getApiUrl(model) {
+        return `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+    }
+    
+    supportsAttachment(mimeType) {
+        return /^(image|audio|text)\//.test(mimeType) || mimeType === 'application/pdf';
+    }
+    
+    buildParts(message) {
+        const parts = message.content ? [{ text: message.content }] : [];
+        (message.attachments || []).forEach(attachment => {
+            parts.push({
+                inlineData: {
+                    mimeType: attachment.mimeType.split(';')[0],
+                    data: attachment.data
+                }
+            });
+        });
+        return parts;
+    }
+    
+    async generate(request, options = {}) {
+        const config = { ...this.defaults, ...options };
+        
+        try {
+            const requestBody = {
+                systemInstruction: {
+                    parts: [{ text: request.systemInstruction }]
+                },
+                // Gemini calls the assistant role "model"
+                contents: request.messages.map(message => ({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: this.buildParts(message)
+                })),
+                generationConfig: {
+                    temperature: config.temperature,
+                    topK: 40,
+                    topP: config.topP,
+                    maxOutputTokens: config.maxOutputTokens,
+                    candidateCount: 1
+                },
+                safetySettings: [
+                    {
+                        category: 'HARM_CATEGORY_HARASSMENT',
+                        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+                    },
+                    {
+                        category: 'HARM_CATEGORY_HATE_SPEECH',
+                        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+                    },
+                    {
+                        category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+                        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+                    },
+                    {
+                        category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
+                        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+                    }
+                ]
+            };
+            
+            const response = await axios.post(this.getApiUrl(options.model || this.model), requestBody, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Goog-Api-Key': this.apiKey
+                },
+                timeout: this.timeout
+            });
+            
+            const candidate = response.data?.candidates?.[0];
+            if (candidate?.content?.parts?.[0]?.text) {
+                return candidate.content.parts[0].text.trim();
+            }
+            
+            console.log('⚠️ No valid response from Gemini API');
+            return null;
+            
+        } catch (error) {
+            this.logRequestError(error);
+            return null;
+        }
+    }
+}
+
+// Works with OpenAI and any server exposing /v1/chat/completions (Ollama, llama.cpp, vLLM...)
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('openai', {
+            ...options,
+            model: options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            timeout: options.timeout || parseInt(process.env.OPENAI_TIMEOUT) || 30000
+        });
+        
+        this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        // Local servers usually run without a key
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+    }
+    
+    supportsAttachment(mimeType) {
+        return /^(image|text)\//.test(mimeType) || mimeType === 'application/pdf';
+    }
+    
+    buildMessage(message) {
+        if (!message.attachments || message.attachments.length === 0) {
+            return { role: message.role, content: message.content };
+        }
+        
+        const content = [{ type: 'text', text: message.content || '' }];
+        message.attachments.forEach(attachment => {
+            const mimeType = attachment.mimeType.split(';')[0];
+            const dataUrl = `data:${mimeType};base64,${attachment.data}`;
+            
+            if (mimeType.startsWith('image/')) {
+                content.push({ type: 'image_url', image_url: { url: dataUrl } });
+            } else if (mimeType.startsWith('text/')) {
+                // Plain text files are simply inlined
+                const text = Buffer.from(attachment.data, 'base64').toString('utf8');
+                content.push({ type: 'text', text: `${attachment.filename || 'Attached file'}:\n${text}` });
+            } else {
+                content.push({ type: 'file', file: { filename: attachment.filename || 'document.pdf', file_data: dataUrl } });
+            }
+        });
+        
+        return { role: message.role, content };
+    }
+    
+    async generate(request, options = {}) {
+        const config = { ...this.defaults, ...options };
+        
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.apiKey) {
+                headers.Authorization = `Bearer ${this.apiKey}`;
+            }
+            
+            const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+                model: options.model || this.model,
+                messages: [
+                    { role: 'system', content: request.systemInstruction },
+                    ...request.messages.map(message => this.buildMessage(message))
+                ],
+                temperature: config.temperature,
+                top_p: config.topP,
+                max_tokens: config.maxOutputTokens,
+                n: 1
+            }, {
+                headers,
+                timeout: this.timeout
+            });
+            
+            const content = response.data?.choices?.[0]?.message?.content;
+            if (content) {
+                return content.trim();
+            }
+            
+            console.log('⚠️ No valid response from OpenAI-compatible API');
+            return null;
+            
+        } catch (error) {
+            this.logRequestError(error);
+            return null;
+        }
+    }
+    
+    healthCheck() {
+        return {
+            ...super.healthCheck(),
+            baseUrl: this.baseUrl,
+            apiKey: !!this.apiKey
+        };
+    }
+}
+
+// Offline provider for development: the same message always gives the same reply
+class MockProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('mock', { ...options, model: 'mock' });
+        
+        this.replies = [
+            'Got it! Let me help you with that 😊',
+            'Sure, tell me a bit more so I can help.',
+            'Thanks for your message! I will look into it.',
+            'Okay, noted 👍 Anything else?'
+        ];
+    }
+    
+    supportsAttachment(mimeType) {
+        return true;
+    }
+    
+    async generate(request, options = {}) {
+        const lastMessage = request.messages[request.messages.length - 1];
+        
+        if (lastMessage?.attachments?.length) {
+            const names = lastMessage.attachments.map(attachment => attachment.filename || attachment.mimeType.split('/')[0]);
+            return `Thanks for sending ${names.join(', ')}! Let me take a look 👀`;
+        }
+        
+        // Memory summaries keep the customer lines so they stay meaningful offline
+        if (options.purpose === 'summary') {
+            const customerLines = (lastMessage?.content || '')
+                .split('\n')
+                .filter(line => line.startsWith('Customer: '));
+            return customerLines.map(line => `- ${line.substring(10)}`).join('\n').substring(0, 500);
+        }
+        
+        const digest = crypto.createHash('sha1').update(lastMessage?.content || '').digest();
+        return this.replies[digest[0] % this.replies.length];
+    }
+}
+
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    ollama: OpenAICompatibleProvider,
+    llamacpp: OpenAICompatibleProvider,
+    mock: MockProvider
+};
+
+function createProvider(name, options = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown AI provider: ${name}`);
+    }
+    
+    return new Provider(options);
+}
+
+module.exports = {
+    LLMProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    MockProvider,
+    PROVIDERS,
+    createProvider
+};
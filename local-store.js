@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// JSON file store used when MySQL is not available. Each collection is one file
+// holding { nextId, records } and is kept in memory once loaded.
+class LocalStore {
+    constructor(dataPath = process.env.LOCAL_STORE_PATH || './data') {
+        this.dataPath = dataPath;
+        this.collections = new Map();
+        this.loading = new Map();
+        this.dirty = new Set();
+        this.flushTimer = null;
+        this.flushDelay = 1000;
+        this.writing = Promise.resolve();
+    }
+    
+    getFilePath(name) {
+        return path.join(this.dataPath, `${name}.json`);
+    }
+    
+    async getCollection(name) {
+        if (this.collections.has(name)) {
+            return this.collections.get(name);
+        }
+        
+        // Concurrent callers share a single read of the file
+        if (!this.loading.has(name)) {
+            this.loading.set(name, this.loadCollection(name));
+        }
+        
+        const collection = await this.loading.get(name);
+        this.loading.delete(name);
+        return collection;
+    }
+    
+    async loadCollection(name) {
+        let collection = { nextId: 1, records: new Map() };
+        
+        try {
+            const raw = await fs.readFile(this.getFilePath(name), 'utf8');
+            const data = JSON.parse(raw);
+            collection = {
+                nextId: data.nextId || 1,
+                records: new Map(Object.entries(data.records || {}))
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Failed to load local collection ${name}:`, error.message);
+            }
+        }
+        
+        this.collections.set(name, collection);
+        return collection;
+    }
+    
+    async get(name, id) {
+        const collection = await this.getCollection(name);
+        return collection.records.get(String(id)) || null;
+    }
+    
+    async list(name, filter = null) {
+        const collection = await this.getCollection(name);
+        const records = Array.from(collection.records.values());
+        return filter ? records.filter(filter) : records;
+    }
+    
+    async put(name, id, record) {
+        const collection = await this.getCollection(name);
+        collection.records.set(String(id), record);
+        this.markDirty(name);
+        return record;
+    }
+    
+    async insert(name, record) {
+        const collection = await this.getCollection(name);
+        const id = collection.nextId++;
+        const stored = { id, ...record };
+        
+        collection.records.set(String(id), stored);
+        this.markDirty(name);
+        return stored;
+    }
+    
+    async remove(name, id) {
+        const collection = await this.getCollection(name);
+        const existed = collection.records.delete(String(id));
+        
+        if (existed) {
+            this.markDirty(name);
+        }
+        return existed;
+    }
+    
+    async removeWhere(name, filter) {
+        const collection = await this.getCollection(name);
+        let removed = 0;
+        
+        for (const [id, record] of collection.records.entries()) {
+            if (filter(record)) {
+                collection.records.delete(id);
+                removed++;
+            }
+        }
+        
+        if (removed > 0) {
+            this.markDirty(name);
+        }
+        return removed;
+    }
+    
+    markDirty(name) {
+        this.dirty.add(name);
+        
+        // Batch writes so bursts of updates hit the disk once
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(error => {
+                    console.error('❌ Local store flush failed:', error);
+                });
+            }, this.flushDelay);
+        }
+    }
+    
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        
+        // Serialize writes so two flushes never touch the same temp file
+        this.writing = this.writing.catch(() => {}).then(() => this.writeDirty());
+        return this.writing;
+    }
+    
+    async writeDirty() {
+        const names = Array.from(this.dirty);
+        this.dirty.clear();
+        if (names.length === 0) return;
+        
+        await fs.mkdir(this.dataPath, { recursive: true });
+        
+        for (const name of names) {
+            const collection = this.collections.get(name);
+            const data = {
+                nextId: collection.nextId,
+                records: Object.fromEntries(collection.records)
+            };
+            
+            // Write to a temp file first so a crash never leaves half a file behind
+            const filePath = this.getFilePath(name);
+            const tempPath = `${filePath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(data));
+            await fs.rename(tempPath, filePath);
+        }
+    }
+}
+
+module.exports = LocalStore;
@@ -0,0 +1,138 @@
+const { createTranscriber } = require('./transcriber');
+
+const UNSUPPORTED_TYPES = ['sticker', 'video', 'gif', 'location', 'vcard', 'multi_vcard'];
+
+const REPLIES = {
+    english: {
+        unsupported: 'I can read text, photos, documents and voice notes, but not this kind of message. Could you type it out for me? 🙂',
+        tooLarge: 'That file is too big for me to open. Could you send a smaller one or describe what you need?',
+        failed: 'Sorry, I could not open that. Could you send it again or type your question?',
+        voiceFailed: 'Sorry, I could not understand that voice note. Could you type your message?'
+    },
+    hinglish: {
+        unsupported: 'Main text, photos, documents aur voice notes samajh sakta hoon, par ye type ka message nahi. Type karke bhej do please 🙂',
+        tooLarge: 'Ye file bahut badi hai, main open nahi kar paa raha. Chhoti file bhejo ya bata do kya chahiye?',
+        failed: 'Sorry, ye open nahi ho paaya. Dobara bhejo ya type karke pucho?',
+        voiceFailed: 'Sorry, voice note samajh nahi aaya. Type karke bhej doge?'
+    },
+    hindi: {
+        unsupported: 'मैं टेक्स्ट, फोटो, डॉक्यूमेंट और वॉइस नोट समझ सकता हूं, पर इस तरह का मैसेज नहीं। कृपया लिखकर भेजें 🙂',
+        tooLarge: 'यह फ़ाइल बहुत बड़ी है। कृपया छोटी फ़ाइल भेजें या बताएं आपको क्या चाहिए।',
+        failed: 'माफ करें, यह खुल नहीं पाया। कृपया दोबारा भेजें या अपना सवाल लिखें।',
+        voiceFailed: 'माफ करें, वॉइस नोट समझ नहीं आया। कृपया लिखकर भेजें।'
+    }
+};
+
+// Classifies incoming WhatsApp messages and turns photos, documents and voice notes
+// into text plus attachments the AI can use
+class MediaProcessor {
+    constructor() {
+        this.maxBytes = (parseInt(process.env.MEDIA_MAX_SIZE_MB) || 10) * 1024 * 1024;
+        
+        const transcriberName = process.env.TRANSCRIBER || (process.env.GEMINI_API_KEY ? 'gemini' : 'mock');
+        try {
+            this.transcriber = createTranscriber(transcriberName);
+        } catch (error) {
+            console.error(`❌ Transcriber "${transcriberName}" unavailable: ${error.message}`);
+            console.log('⚠️ Falling back to mock transcriber');
+            this.transcriber = createTranscriber('mock');
+        }
+        
+        console.log(`🎤 Voice notes transcribed with: ${this.transcriber.name}`);
+    }
+    
+    // text, image, document, voice, unsupported or ignored (notifications, deleted messages...)
+    classify(message) {
+        switch (message.type) {
+            case 'chat':
+                return message.body && message.body.trim() ? 'text' : 'ignored';
+            case 'image':
+                return 'image';
+            case 'document':
+                return 'document';
+            case 'ptt':
+            case 'audio':
+                return 'voice';
+        }
+        
+        if (UNSUPPORTED_TYPES.includes(message.type) || message.hasMedia) {
+            return 'unsupported';
+        }
+        
+        return message.body && message.body.trim() ? 'text' : 'ignored';
+    }
+    
+    getReply(key, language) {
+        return (REPLIES[language] || REPLIES.english)[key];
+    }
+    
+    // Resolves to { reply } when the bot should answer without the AI, otherwise
+    // { text, hasText, attachments, label } where label is what goes into history
+    async process(message, kind, language) {
+        if (kind === 'unsupported') {
+            console.log(`📎 Unsupported ${message.type} message`);
+            return { reply: this.getReply('unsupported', language) };
+        }
+        
+        let media = null;
+        try {
+            media = message.hasMedia ? await message.downloadMedia() : null;
+        } catch (error) {
+            console.error('❌ Media download failed:', error.message);
+        }
+        
+        if (!media || !media.data) {
+            return { reply: this.getReply('failed', language) };
+        }
+        
+        const size = media.filesize || Math.floor(media.data.length * 3 / 4);
+        if (size > this.maxBytes) {
+            console.log(`📎 ${kind} too large: ${size} bytes`);
+            return { reply: this.getReply('tooLarge', language) };
+        }
+        
+        const caption = (message.body || '').trim();
+        
+        if (kind === 'voice') {
+            let transcript = null;
+            try {
+                transcript = await this.transcriber.transcribe({ mimeType: media.mimetype, data: media.data });
+            } catch (error) {
+                console.error('❌ Transcription failed:', error.message);
+            }
+            
+            if (!transcript) {
+                return { reply: this.getReply('voiceFailed', language) };
+            }
+            
+            console.log(`🎤 Voice note transcribed: ${transcript.substring(0, 50)}...`);
+            return {
+                text: transcript,
+                hasText: true,
+                attachments: [],
+                label: `[voice note] ${transcript}`
+            };
+        }
+        
+        const filename = media.filename || (kind === 'document' ? 'document' : null);
+        // WhatsApp puts the file name in the body of documents sent without a caption
+        const hasText = !!caption && caption !== filename;
+        const placeholder = kind === 'image'
+            ? 'The customer sent this photo without a caption.'
+            : `The customer sent the document "${filename}" without a message.`;
+            
+        console.log(`📎 Received ${kind}: ${media.mimetype}, ${size} bytes`);
+        return {
+            text: hasText ? caption : placeholder,
+            hasText,
+            attachments: [{
+                mimeType: media.mimetype,
+                data: media.data,
+                filename
+            }],
+            label: `[${kind}${filename ? `: ${filename}` : ''}] ${hasText ? caption : ''}`.trim()
+        };
+    }
+}
+
+module.exports = MediaProcessor;
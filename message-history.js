@@ -0,0 +1,303 @@
+const { v4: uuidv4 } = require('uuid');
+const { isValidTimezone, getZonedParts, parseZonedDate } = require('./time-utils');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const EXPORT_LIMIT = 10000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+// InnoDB's default innodb_ft_min_token_size: shorter words never make it into the full-text index
+const MIN_FULLTEXT_LENGTH = 3;
+
+// Every answered message with the bot's reply (the whatsapp_messages table, or the
+// "whatsapp_messages" local collection without a database), grouped into conversations by
+// contact. Supports paging, search and exports for support escalations.
+class MessageHistory {
+    constructor() {
+        this.dbPool = null;
+        this.localStore = null;
+        this.defaultTimezone = process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    getLimit(value, max = MAX_LIMIT) {
+        return Math.min(Math.max(parseInt(value) || DEFAULT_LIMIT, 1), max);
+    }
+    
+    getOffset(value) {
+        return Math.max(parseInt(value) || 0, 0);
+    }
+    
+    async save({ sessionId, contact, messageText, reply, language = null }) {
+        const timestamp = new Date();
+        
+        if (this.dbPool) {
+            await this.dbPool.execute(
+                'INSERT INTO whatsapp_messages (session_id, from_number, message_text, ai_reply, language, timestamp) VALUES (?, ?, ?, ?, ?, ?)',
+                [sessionId, contact, messageText, reply, language, timestamp]
+            );
+        } else if (this.localStore) {
+            const id = uuidv4();
+            await this.localStore.put('whatsapp_messages', id, {
+                id,
+                sessionId,
+                contact,
+                messageText,
+                reply,
+                language,
+                timestamp: timestamp.toISOString()
+            });
+        }
+    }
+    
+    // from and to are dates (whole days) or times, read in timezone unless they carry an offset.
+    // Returns { from, to, timezone } with Dates (to is exclusive) or { error }.
+    parseRange({ from, to, timezone } = {}) {
+        const zone = timezone || this.defaultTimezone;
+        if (!isValidTimezone(zone)) {
+            return { error: `Unknown timezone: ${timezone}` };
+        }
+        
+        const parse = (value, endOfDay) => {
+            if (!DATE_ONLY.test(value)) {
+                return parseZonedDate(value, zone);
+            }
+            const day = endOfDay
+                ? new Date(Date.parse(`${value}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+                : value;
+            return parseZonedDate(`${day}T00:00`, zone);
+        };
+        
+        const range = { from: null, to: null, timezone: zone };
+        for (const [field, endOfDay] of [['from', false], ['to', true]]) {
+            const value = field === 'from' ? from : to;
+            if (value === undefined || value === '') continue;
+            
+            const date = typeof value === 'string' ? parse(value, endOfDay) : new Date(NaN);
+            if (Number.isNaN(date.getTime())) {
+                return { error: `${field} must be a date (YYYY-MM-DD) or an ISO time` };
+            }
+            range[field] = date;
+        }
+        
+        if (range.from && range.to && range.from >= range.to) {
+            return { error: 'from must be before to' };
+        }
+        return range;
+    }
+    
+    // Contacts with their message count and latest exchange, most recent first
+    async listConversations(sessionId, { limit, offset } = {}) {
+        const max = this.getLimit(limit);
+        const start = this.getOffset(offset);
+        
+        if (this.dbPool) {
+            const [[{ total }]] = await this.dbPool.execute(
+                'SELECT COUNT(DISTINCT from_number) AS total FROM whatsapp_messages WHERE session_id = ?',
+                [sessionId]
+            );
+            const [rows] = await this.dbPool.execute(
+                `SELECT m.from_number, c.messages, c.first_at, m.message_text, m.ai_reply, m.language, m.timestamp
+                 FROM (
+                     SELECT from_number, COUNT(*) AS messages, MIN(timestamp) AS first_at, MAX(id) AS last_id
+                     FROM whatsapp_messages WHERE session_id = ? GROUP BY from_number
+                     ORDER BY last_id DESC LIMIT ${max} OFFSET ${start}
+                 ) c
+                 JOIN whatsapp_messages m ON m.id = c.last_id
+                 ORDER BY m.id DESC`,
+                [sessionId]
+            );
+            
+            return {
+                total,
+                conversations: rows.map(row => this.describeConversation({
+                    contact: row.from_number,
+                    messages: row.messages,
+                    firstAt: new Date(row.first_at).toISOString(),
+                    last: this.fromRow(row)
+                }))
+            };
+        }
+        
+        const conversations = new Map();
+        (await this.loadLocal(sessionId)).forEach(message => {
+            const conversation = conversations.get(message.contact) || { contact: message.contact, messages: 0, firstAt: message.timestamp };
+            conversation.messages++;
+            conversation.last = message;
+            conversations.set(message.contact, conversation);
+        });
+        
+        const sorted = Array.from(conversations.values()).sort((a, b) => b.last.timestamp.localeCompare(a.last.timestamp));
+        return {
+            total: sorted.length,
+            conversations: sorted.slice(start, start + max).map(conversation => this.describeConversation(conversation))
+        };
+    }
+    
+    // Messages matching every word of query (when given), oldest first unless newestFirst.
+    // Exports pass exportAll to read up to EXPORT_LIMIT messages in one go.
+    async listMessages(sessionId, { contact, query, from, to, limit, offset, newestFirst = false, exportAll = false } = {}) {
+        const max = exportAll ? EXPORT_LIMIT : this.getLimit(limit);
+        const start = exportAll ? 0 : this.getOffset(offset);
+        const terms = this.getSearchTerms(query);
+        
+        if (this.dbPool) {
+            const conditions = ['session_id = ?'];
+            const params = [sessionId];
+            
+            if (contact) {
+                conditions.push('from_number = ?');
+                params.push(contact);
+            }
+            if (from) {
+                conditions.push('timestamp >= ?');
+                params.push(from);
+            }
+            if (to) {
+                conditions.push('timestamp < ?');
+                params.push(to);
+            }
+            const indexed = terms.filter(term => term.length >= MIN_FULLTEXT_LENGTH);
+            if (indexed.length > 0) {
+                // Boolean mode: every word must appear, as a word or a word prefix
+                conditions.push('MATCH(message_text, ai_reply) AGAINST (? IN BOOLEAN MODE)');
+                params.push(indexed.map(term => `+${term}*`).join(' '));
+            }
+            // Words too short for the index (like "42") are matched anywhere in the text instead
+            terms.filter(term => term.length < MIN_FULLTEXT_LENGTH).forEach(term => {
+                const pattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+                conditions.push('(message_text LIKE ? OR ai_reply LIKE ?)');
+                params.push(pattern, pattern);
+            });
+            
+            const where = `WHERE ${conditions.join(' AND ')}`;
+            const direction = newestFirst ? 'DESC' : 'ASC';
+            const [[{ total }]] = await this.dbPool.execute(`SELECT COUNT(*) AS total FROM whatsapp_messages ${where}`, params);
+            const [rows] = await this.dbPool.execute(
+                `SELECT * FROM whatsapp_messages ${where} ORDER BY timestamp ${direction}, id ${direction} LIMIT ${max} OFFSET ${start}`,
+                params
+            );
+            
+            return { total, messages: rows.map(row => this.describeMessage(this.fromRow(row))) };
+        }
+        
+        const matches = (await this.loadLocal(sessionId)).filter(message => {
+            if (contact && message.contact !== contact) return false;
+            if (from && new Date(message.timestamp) < from) return false;
+            if (to && new Date(message.timestamp) >= to) return false;
+            
+            const text = `${message.messageText || ''}\n${message.reply || ''}`.toLowerCase();
+            return terms.every(term => text.includes(term.toLowerCase()));
+        });
+        if (newestFirst) {
+            matches.reverse();
+        }
+        
+        return {
+            total: matches.length,
+            messages: matches.slice(start, start + max).map(message => this.describeMessage(message))
+        };
+    }
+    
+    // Words of a search, without the characters MySQL boolean mode treats as operators
+    getSearchTerms(query) {
+        if (typeof query !== 'string') return [];
+        return query
+            .replace(/[+\-<>()~*"@]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .slice(0, 10);
+    }
+    
+    fromRow(row) {
+        return {
+            id: String(row.id),
+            contact: row.from_number,
+            messageText: row.message_text,
+            reply: row.ai_reply,
+            language: row.language,
+            timestamp: new Date(row.timestamp).toISOString()
+        };
+    }
+    
+    describeMessage(message) {
+        return {
+            id: message.id,
+            contact: message.contact,
+            message: message.messageText,
+            reply: message.reply,
+            language: message.language || null,
+            timestamp: message.timestamp
+        };
+    }
+    
+    describeConversation({ contact, messages, firstAt, last }) {
+        return {
+            contact,
+            messages,
+            language: last.language || null,
+            lastMessage: last.messageText,
+            lastReply: last.reply,
+            firstAt,
+            lastAt: last.timestamp
+        };
+    }
+    
+    toCsv(messages) {
+        const columns = ['timestamp', 'contact', 'language', 'message', 'reply'];
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const rows = messages.map(message => columns.map(column => escape(message[column])).join(','));
+        return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+    
+    // The layout of WhatsApp's own "Export chat": "18/10/26, 14:05 - Name: message"
+    toTranscript(messages, { botName, timezone }) {
+        const pad = value => String(value).padStart(2, '0');
+        const lines = [];
+        
+        messages.forEach(message => {
+            const time = getZonedParts(new Date(message.timestamp), timezone);
+            const prefix = `${pad(time.day)}/${pad(time.month)}/${String(time.year).slice(-2)}, ${pad(time.hour)}:${pad(time.minute)} - `;
+            lines.push(`${prefix}+${message.contact}: ${message.message || ''}`);
+            lines.push(`${prefix}${botName}: ${message.reply || ''}`);
+        });
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // Only removes anything when MESSAGE_HISTORY_RETENTION_DAYS is set
+    async cleanup(retentionDays = parseInt(process.env.MESSAGE_HISTORY_RETENTION_DAYS) || 0) {
+        if (retentionDays <= 0) return 0;
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+        
+        try {
+            if (this.dbPool) {
+                const [result] = await this.dbPool.execute('DELETE FROM whatsapp_messages WHERE timestamp < ?', [cutoff]);
+                return result.affectedRows;
+            } else if (this.localStore) {
+                return await this.localStore.removeWhere('whatsapp_messages', message => new Date(message.timestamp) < cutoff);
+            }
+        } catch (error) {
+            console.error('❌ Message history cleanup failed:', error.message);
+        }
+        
+        return 0;
+    }
+    
+    // The session's messages in the order they were saved
+    async loadLocal(sessionId) {
+        if (!this.localStore) return [];
+        
+        const messages = await this.localStore.list('whatsapp_messages', message => message.sessionId === sessionId);
+        return messages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+}
+
+module.exports = MessageHistory;
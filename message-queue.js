@@ -0,0 +1,492 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Durable outbound queue. Every message the bot sends goes through here so sends
+// survive short disconnects and restarts, and each WhatsApp number is paced.
+//
+// Job statuses: queued -> sending -> sent, or dead once attempts run out. Errors flagged
+// with permanent = true by send (a bad number, a missing file) are dead-lettered at once.
+// Events: 'updated' (job) on every change, 'sent' (job, message) and 'dead' (job).
+class MessageQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.dbPool = null;
+        this.localStore = null;
+        
+        // send(job) resolves to the sent whatsapp-web.js message
+        this.send = options.send;
+        this.isSessionReady = options.isSessionReady || (() => true);
+        
+        this.pending = new Map(); // sessionId -> jobs waiting to be sent
+        this.jobs = new Map(); // pending and recently finished jobs by id
+        this.sessions = new Map(); // sessionId -> pacing state
+        this.waiters = new Map(); // jobId -> callbacks waiting for the job to finish
+        
+        // Pacing per WhatsApp number
+        this.ratePerMinute = parseInt(process.env.QUEUE_RATE_PER_MINUTE) || 20;
+        this.minDelay = parseInt(process.env.QUEUE_MIN_DELAY_MS) || 1500;
+        this.jitter = parseInt(process.env.QUEUE_JITTER_MS) || 2000;
+        
+        // Retries
+        this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+        this.retryDelay = 5000;
+        this.maxRetryDelay = 5 * 60 * 1000;
+        this.maxAge = (parseInt(process.env.QUEUE_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+        
+        this.recentLimit = 1000;
+        this.timer = null;
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    async start() {
+        // Jobs interrupted by a restart are picked up again, unless something enqueued them
+        // in this process already
+        const jobs = (await this.loadPendingJobs()).filter(job => !this.jobs.has(job.id));
+        jobs.forEach(job => {
+            job.status = 'queued';
+            this.addPending(job);
+        });
+        
+        this.timer = setInterval(() => this.tick(), 500);
+        console.log(`📬 Message queue started with ${jobs.length} pending jobs`);
+    }
+    
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    async enqueue({ sessionId, ownerId, to, type = 'text', message, media, caption, options = {}, delayMs = 0, source = 'api', meta = {}, maxAttempts }) {
+        if (!sessionId || !to) {
+            throw new Error('sessionId and to are required');
+        }
+        if (type === 'text' && !message) {
+            throw new Error('message is required');
+        }
+        if (type === 'media' && !media) {
+            throw new Error('media is required');
+        }
+        
+        const now = Date.now();
+        const job = {
+            id: uuidv4(),
+            sessionId,
+            ownerId: ownerId || null,
+            to,
+            type,
+            payload: type === 'media' ? { media, caption: caption || '', options } : { message, options },
+            status: 'queued',
+            attempts: 0,
+            maxAttempts: maxAttempts || this.maxAttempts,
+            nextAttemptAt: now + delayMs,
+            lastError: null,
+            messageId: null,
+            source,
+            meta,
+            createdAt: new Date(now).toISOString(),
+            sentAt: null
+        };
+        
+        await this.persist(job);
+        this.addPending(job);
+        this.emit('updated', job);
+        
+        return job;
+    }
+    
+    addPending(job) {
+        if (!this.pending.has(job.sessionId)) {
+            this.pending.set(job.sessionId, []);
+        }
+        
+        // A job waits in the queue at most once
+        const pending = this.pending.get(job.sessionId);
+        if (pending.some(waiting => waiting.id === job.id)) return;
+        
+        pending.push(job);
+        this.jobs.set(job.id, job);
+    }
+    
+    removePending(job) {
+        const jobs = this.pending.get(job.sessionId);
+        if (!jobs) return;
+        
+        const index = jobs.indexOf(job);
+        if (index !== -1) {
+            jobs.splice(index, 1);
+        }
+        if (jobs.length === 0) {
+            this.pending.delete(job.sessionId);
+        }
+    }
+    
+    getSessionState(sessionId) {
+        if (!this.sessions.has(sessionId)) {
+            this.sessions.set(sessionId, { busy: false, nextSendAt: 0, sentAt: [] });
+        }
+        return this.sessions.get(sessionId);
+    }
+    
+    tick() {
+        const now = Date.now();
+        
+        for (const [sessionId, jobs] of this.pending.entries()) {
+            // Messages nobody could deliver for too long are dead-lettered
+            jobs.filter(job => job.status === 'queued' && now - new Date(job.createdAt).getTime() > this.maxAge)
+                .forEach(job => this.markDead(job, 'Expired before it could be sent'));
+            
+            const state = this.getSessionState(sessionId);
+            if (state.busy || now < state.nextSendAt || !this.isSessionReady(sessionId)) {
+                continue;
+            }
+            
+            state.sentAt = state.sentAt.filter(sentAt => now - sentAt < 60000);
+            if (state.sentAt.length >= this.ratePerMinute) {
+                continue;
+            }
+            
+            const job = jobs.find(candidate => candidate.status === 'queued' && candidate.nextAttemptAt <= now);
+            if (!job) continue;
+            
+            state.busy = true;
+            this.processJob(job, state)
+                .catch(error => console.error(`❌ Queue job ${job.id} failed unexpectedly:`, error))
+                .finally(() => {
+                    state.busy = false;
+                });
+        }
+    }
+    
+    async processJob(job, state) {
+        job.status = 'sending';
+        job.attempts++;
+        await this.persist(job);
+        
+        try {
+            const sentMessage = await this.send(job);
+            
+            job.status = 'sent';
+            job.messageId = sentMessage?.id?._serialized || null;
+            job.sentAt = new Date().toISOString();
+            job.lastError = null;
+            
+            // The file is not needed once it is delivered
+            if (job.payload.media) {
+                job.payload.media = { ...job.payload.media, data: null };
+            }
+            
+            state.sentAt.push(Date.now());
+            state.nextSendAt = Date.now() + this.minDelay + Math.random() * this.jitter;
+            
+            this.removePending(job);
+            await this.persist(job);
+            this.finish(job);
+            
+            this.emit('sent', job, sentMessage);
+            this.emit('updated', job);
+        } catch (error) {
+            job.lastError = error.message;
+            state.nextSendAt = Date.now() + this.minDelay;
+            
+            if (error.permanent || job.attempts >= job.maxAttempts) {
+                await this.markDead(job, error.message);
+                return;
+            }
+            
+            // Exponential backoff with jitter
+            const delay = Math.min(this.retryDelay * Math.pow(2, job.attempts - 1), this.maxRetryDelay);
+            job.status = 'queued';
+            job.nextAttemptAt = Date.now() + delay + Math.random() * 1000;
+            await this.persist(job);
+            
+            console.log(`🔁 Queue job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+            this.emit('updated', job);
+        }
+    }
+    
+    async markDead(job, reason) {
+        job.status = 'dead';
+        job.lastError = reason;
+        
+        this.removePending(job);
+        await this.persist(job);
+        this.finish(job);
+        
+        console.error(`☠️ Queue job ${job.id} to ${job.to} dead-lettered: ${reason}`);
+        this.emit('dead', job);
+        this.emit('updated', job);
+    }
+    
+    // Moves a dead job back into the queue with fresh attempts
+    async retry(jobId) {
+        const job = await this.getJob(jobId);
+        if (!job || job.status !== 'dead') {
+            return null;
+        }
+        if (job.payload.media && !job.payload.media.data) {
+            throw new Error('The media of this job is no longer available');
+        }
+        
+        Object.assign(job, {
+            status: 'queued',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            createdAt: new Date().toISOString()
+        });
+        
+        await this.persist(job);
+        this.addPending(job);
+        this.emit('updated', job);
+        return job;
+    }
+    
+    async cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.status !== 'queued') {
+            return null;
+        }
+        
+        job.status = 'cancelled';
+        this.removePending(job);
+        await this.persist(job);
+        this.finish(job);
+        
+        this.emit('updated', job);
+        return job;
+    }
+    
+    finish(job) {
+        const waiters = this.waiters.get(job.id) || [];
+        this.waiters.delete(job.id);
+        waiters.forEach(resolve => resolve(job));
+        
+        // Keep a bounded number of finished jobs in memory for status lookups
+        if (this.jobs.size > this.recentLimit) {
+            for (const [id, candidate] of this.jobs.entries()) {
+                if (this.jobs.size <= this.recentLimit) break;
+                if (['sent', 'dead', 'cancelled'].includes(candidate.status)) {
+                    this.jobs.delete(id);
+                }
+            }
+        }
+    }
+    
+    // Resolves with the job once it is finished, or as it is when the timeout runs out
+    waitFor(jobId, timeout) {
+        const job = this.jobs.get(jobId);
+        if (!job || ['sent', 'dead', 'cancelled'].includes(job.status)) {
+            return Promise.resolve(job || null);
+        }
+        
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                const waiters = this.waiters.get(jobId) || [];
+                this.waiters.set(jobId, waiters.filter(waiter => waiter !== done));
+                resolve(job);
+            }, timeout);
+            
+            const done = finished => {
+                clearTimeout(timer);
+                resolve(finished);
+            };
+            
+            if (!this.waiters.has(jobId)) {
+                this.waiters.set(jobId, []);
+            }
+            this.waiters.get(jobId).push(done);
+        });
+    }
+    
+    async getJob(jobId) {
+        if (this.jobs.has(jobId)) {
+            return this.jobs.get(jobId);
+        }
+        
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute('SELECT * FROM message_queue WHERE id = ?', [jobId]);
+                return rows[0] ? this.fromRow(rows[0]) : null;
+            } else if (this.localStore) {
+                return await this.localStore.get('message_queue', jobId);
+            }
+        } catch (error) {
+            console.error('❌ Failed to load queue job:', error.message);
+        }
+        
+        return null;
+    }
+    
+    async listJobs({ sessionId, status, limit = 50 } = {}) {
+        const max = Math.min(parseInt(limit) || 50, 500);
+        
+        if (this.dbPool) {
+            const conditions = [];
+            const params = [];
+            if (sessionId) {
+                conditions.push('session_id = ?');
+                params.push(sessionId);
+            }
+            if (status) {
+                conditions.push('status = ?');
+                params.push(status);
+            }
+            
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const [rows] = await this.dbPool.execute(
+                `SELECT * FROM message_queue ${where} ORDER BY created_at DESC LIMIT ${max}`,
+                params
+            );
+            return rows.map(row => this.fromRow(row));
+        }
+        
+        const source = this.localStore
+            ? await this.localStore.list('message_queue')
+            : Array.from(this.jobs.values());
+            
+        return source
+            .filter(job => (!sessionId || job.sessionId === sessionId) && (!status || job.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, max)
+            .map(job => this.jobs.get(job.id) || job);
+    }
+    
+    async loadPendingJobs() {
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute(
+                    "SELECT * FROM message_queue WHERE status IN ('queued', 'sending') ORDER BY created_at"
+                );
+                return rows.map(row => this.fromRow(row));
+            } else if (this.localStore) {
+                const jobs = await this.localStore.list('message_queue', job => ['queued', 'sending'].includes(job.status));
+                return jobs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            }
+        } catch (error) {
+            console.error('❌ Failed to load message queue:', error.message);
+        }
+        
+        return [];
+    }
+    
+    async persist(job) {
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    `INSERT INTO message_queue
+                        (id, session_id, owner_id, recipient, job_type, payload, status, attempts, max_attempts,
+                         next_attempt_at, last_error, message_id, source, meta, created_at, sent_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE
+                        payload = VALUES(payload), status = VALUES(status), attempts = VALUES(attempts),
+                        next_attempt_at = VALUES(next_attempt_at), last_error = VALUES(last_error),
+                        message_id = VALUES(message_id), created_at = VALUES(created_at), sent_at = VALUES(sent_at)`,
+                    [
+                        job.id, job.sessionId, job.ownerId, job.to, job.type, JSON.stringify(job.payload),
+                        job.status, job.attempts, job.maxAttempts, Math.round(job.nextAttemptAt), job.lastError,
+                        job.messageId, job.source, JSON.stringify(job.meta), new Date(job.createdAt),
+                        job.sentAt ? new Date(job.sentAt) : null
+                    ]
+                );
+            } else if (this.localStore) {
+                await this.localStore.put('message_queue', job.id, { ...job });
+            }
+        } catch (error) {
+            // The job stays in memory and is still sent
+            console.error(`❌ Failed to persist queue job ${job.id}:`, error.message);
+        }
+    }
+    
+    fromRow(row) {
+        return {
+            id: row.id,
+            sessionId: row.session_id,
+            ownerId: row.owner_id,
+            to: row.recipient,
+            type: row.job_type,
+            payload: JSON.parse(row.payload || '{}'),
+            status: row.status,
+            attempts: row.attempts,
+            maxAttempts: row.max_attempts,
+            nextAttemptAt: Number(row.next_attempt_at),
+            lastError: row.last_error,
+            messageId: row.message_id,
+            source: row.source,
+            meta: JSON.parse(row.meta || '{}'),
+            createdAt: new Date(row.created_at).toISOString(),
+            sentAt: row.sent_at ? new Date(row.sent_at).toISOString() : null
+        };
+    }
+    
+    // Public view of a job, without file contents
+    describeJob(job) {
+        const payload = job.payload.media
+            ? {
+                caption: job.payload.caption,
+                mimeType: job.payload.media.mimetype,
+                filename: job.payload.media.filename,
+                size: job.payload.media.filesize
+            }
+            : { message: job.payload.message };
+            
+        return {
+            jobId: job.id,
+            sessionId: job.sessionId,
+            to: job.to,
+            type: job.type,
+            ...payload,
+            status: job.status,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            nextAttemptAt: job.status === 'queued' ? new Date(job.nextAttemptAt).toISOString() : null,
+            lastError: job.lastError,
+            messageId: job.messageId,
+            source: job.source,
+            createdAt: job.createdAt,
+            sentAt: job.sentAt
+        };
+    }
+    
+    getStats() {
+        let queued = 0;
+        for (const jobs of this.pending.values()) {
+            queued += jobs.length;
+        }
+        return {
+            queued,
+            sessions: this.pending.size
+        };
+    }
+    
+    // Delivered and cancelled jobs are removed after the retention period; dead letters stay
+    async cleanup(retentionDays = parseInt(process.env.QUEUE_RETENTION_DAYS) || 7) {
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        
+        try {
+            if (this.dbPool) {
+                const [result] = await this.dbPool.execute(
+                    "DELETE FROM message_queue WHERE status IN ('sent', 'cancelled') AND created_at < ?",
+                    [new Date(cutoff)]
+                );
+                return result.affectedRows;
+            } else if (this.localStore) {
+                return await this.localStore.removeWhere('message_queue', job =>
+                    ['sent', 'cancelled'].includes(job.status) && new Date(job.createdAt).getTime() < cutoff
+                );
+            }
+        } catch (error) {
+            console.error('❌ Queue cleanup failed:', error.message);
+        }
+        
+        return 0;
+    }
+}
+
+module.exports = MessageQueue;
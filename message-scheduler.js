@@ -0,0 +1,372 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const { isValidTimezone, parseZonedDate } = require('./time-utils');
+
+const FINISHED = ['sent', 'failed', 'missed', 'cancelled'];
+const MAX_TIMER = 24 * 60 * 60 * 1000; // setTimeout overflows past ~24.8 days, so long waits re-arm daily
+
+// Reminders and recurring messages created through the API. One-shot messages have a
+// sendAt time, recurring ones a cron expression; both are evaluated in their timezone
+// and handed to the message queue when due.
+//
+// One-shot statuses: scheduled -> queued -> sent or failed, or missed when the server
+// was down for too long. Recurring messages stay active until cancelled.
+class MessageScheduler {
+    constructor(options = {}) {
+        this.dbPool = null;
+        this.localStore = null;
+        this.messageQueue = options.messageQueue;
+        
+        this.schedules = new Map();
+        this.timers = new Map(); // scheduleId -> cron task or timeout
+        
+        this.defaultTimezone = process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        // One-shot messages overdue by less than this after a restart are still sent
+        this.missedGrace = (parseInt(process.env.SCHEDULE_MISSED_GRACE_MINUTES) || 60) * 60 * 1000;
+        
+        this.messageQueue.on('updated', job => {
+            if (job.meta?.scheduleId) {
+                this.handleJobUpdate(job).catch(error => {
+                    console.error(`❌ Schedule update for job ${job.id} failed:`, error);
+                });
+            }
+        });
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    async load() {
+        const schedules = await this.loadSchedules();
+        const now = Date.now();
+        let armed = 0;
+        
+        for (const schedule of schedules) {
+            this.schedules.set(schedule.id, schedule);
+            
+            if (schedule.status === 'scheduled' && new Date(schedule.sendAt).getTime() < now - this.missedGrace) {
+                schedule.status = 'missed';
+                schedule.lastError = 'The server was not running at the scheduled time';
+                await this.save(schedule);
+                console.log(`⏰ Scheduled message ${schedule.id} to ${schedule.to} was missed`);
+            } else if (['scheduled', 'active'].includes(schedule.status)) {
+                this.arm(schedule);
+                armed++;
+            } else if (schedule.status === 'queued' && schedule.lastJobId) {
+                // Catch up on a send that finished while the server was down
+                const job = await this.messageQueue.getJob(schedule.lastJobId);
+                if (job) {
+                    await this.handleJobUpdate(job);
+                }
+            }
+        }
+        
+        console.log(`⏰ Loaded ${schedules.length} scheduled messages, ${armed} pending`);
+    }
+    
+    stop() {
+        for (const id of this.timers.keys()) {
+            this.disarm(id);
+        }
+    }
+    
+    // Returns an error message, or null when the fields are valid. existing is set for edits.
+    validate(fields, existing = null) {
+        const merged = { ...existing, ...fields };
+        
+        if (fields.sendAt && fields.cron) {
+            return 'Use either sendAt for a one-off message or cron for a recurring one, not both';
+        }
+        if (!merged.to || typeof merged.to !== 'string' || !/^(\d{8,15}|[\w.-]+@(c|g)\.us)$/.test(merged.to.replace(/[\s+-]/g, ''))) {
+            return 'to must be a phone number or a WhatsApp chat id';
+        }
+        if (!merged.message || typeof merged.message !== 'string' || merged.message.length > 4096) {
+            return 'message must be a string of up to 4096 characters';
+        }
+        
+        const timezone = merged.timezone || this.defaultTimezone;
+        if (!isValidTimezone(timezone)) {
+            return `Unknown timezone: ${timezone}`;
+        }
+        
+        const recurring = fields.cron !== undefined ? Boolean(fields.cron) : Boolean(existing?.cron) && !fields.sendAt;
+        if (recurring) {
+            const expression = fields.cron || existing.cron;
+            if (typeof expression !== 'string' || !cron.validate(expression)) {
+                return 'cron must be a valid cron expression, e.g. "0 9 * * 1" for every Monday at 9:00';
+            }
+            // A seconds field would let one schedule fire every second
+            const parts = expression.trim().split(/\s+/);
+            if (parts.length === 6 && !/^\d+$/.test(parts[0])) {
+                return 'Recurring messages can run at most once a minute';
+            }
+        } else {
+            if (!merged.sendAt) {
+                return 'sendAt or cron is required';
+            }
+            const sendAt = parseZonedDate(merged.sendAt, timezone);
+            if (Number.isNaN(sendAt.getTime())) {
+                return 'sendAt must be a date such as 2026-10-19T09:00';
+            }
+            if (fields.sendAt && sendAt.getTime() < Date.now() - 60000) {
+                return 'sendAt is in the past';
+            }
+        }
+        
+        return null;
+    }
+    
+    async create({ ownerId, sessionId, to, message, sendAt, cron: expression, timezone }) {
+        const now = new Date().toISOString();
+        const zone = timezone || this.defaultTimezone;
+        const schedule = {
+            id: uuidv4(),
+            ownerId: ownerId || null,
+            sessionId,
+            to,
+            message,
+            sendAt: expression ? null : parseZonedDate(sendAt, zone).toISOString(),
+            cron: expression || null,
+            timezone: zone,
+            status: expression ? 'active' : 'scheduled',
+            runCount: 0,
+            lastRunAt: null,
+            lastJobId: null,
+            lastStatus: null,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        await this.save(schedule);
+        this.schedules.set(schedule.id, schedule);
+        this.arm(schedule);
+        
+        console.log(`⏰ ${schedule.cron ? `Recurring message "${schedule.cron}"` : `Message at ${schedule.sendAt}`} scheduled for ${to}`);
+        return schedule;
+    }
+    
+    // Changing sendAt turns a recurring message into a one-off and cron the other way round
+    async update(scheduleId, changes) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule || FINISHED.includes(schedule.status) || schedule.status === 'queued') {
+            return null;
+        }
+        
+        if (changes.to !== undefined) schedule.to = changes.to;
+        if (changes.message !== undefined) schedule.message = changes.message;
+        if (changes.timezone !== undefined) schedule.timezone = changes.timezone || this.defaultTimezone;
+        
+        if (changes.cron) {
+            schedule.cron = changes.cron;
+            schedule.sendAt = null;
+        } else if (changes.sendAt) {
+            schedule.cron = null;
+            schedule.sendAt = parseZonedDate(changes.sendAt, schedule.timezone).toISOString();
+        }
+        
+        schedule.status = schedule.cron ? 'active' : 'scheduled';
+        schedule.updatedAt = new Date().toISOString();
+        
+        await this.save(schedule);
+        this.arm(schedule);
+        return schedule;
+    }
+    
+    async cancel(scheduleId) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule || FINISHED.includes(schedule.status)) {
+            return null;
+        }
+        
+        this.disarm(schedule.id);
+        
+        // A one-off message that is already waiting in the queue is pulled back as well
+        if (schedule.status === 'queued' && schedule.lastJobId) {
+            await this.messageQueue.cancel(schedule.lastJobId);
+        }
+        
+        schedule.status = 'cancelled';
+        schedule.updatedAt = new Date().toISOString();
+        await this.save(schedule);
+        
+        console.log(`⏰ Scheduled message ${schedule.id} cancelled`);
+        return schedule;
+    }
+    
+    arm(schedule) {
+        this.disarm(schedule.id);
+        
+        if (schedule.cron) {
+            const task = cron.schedule(schedule.cron, () => {
+                this.fire(schedule).catch(error => {
+                    console.error(`❌ Scheduled message ${schedule.id} failed:`, error);
+                });
+            }, { scheduled: true, timezone: schedule.timezone });
+            this.timers.set(schedule.id, task);
+            return;
+        }
+        
+        const delay = Math.max(new Date(schedule.sendAt).getTime() - Date.now(), 0);
+        const timer = setTimeout(() => {
+            this.timers.delete(schedule.id);
+            if (delay > MAX_TIMER) {
+                this.arm(schedule);
+                return;
+            }
+            this.fire(schedule).catch(error => {
+                console.error(`❌ Scheduled message ${schedule.id} failed:`, error);
+            });
+        }, Math.min(delay, MAX_TIMER));
+        this.timers.set(schedule.id, timer);
+    }
+    
+    disarm(scheduleId) {
+        const timer = this.timers.get(scheduleId);
+        if (!timer) return;
+        
+        if (typeof timer.stop === 'function') {
+            timer.stop();
+        } else {
+            clearTimeout(timer);
+        }
+        this.timers.delete(scheduleId);
+    }
+    
+    async fire(schedule) {
+        if (!['scheduled', 'active'].includes(schedule.status)) return;
+        
+        const job = await this.messageQueue.enqueue({
+            sessionId: schedule.sessionId,
+            ownerId: schedule.ownerId,
+            to: schedule.to,
+            message: schedule.message,
+            source: 'schedule',
+            meta: { scheduleId: schedule.id }
+        });
+        
+        schedule.runCount++;
+        schedule.lastRunAt = new Date().toISOString();
+        schedule.lastJobId = job.id;
+        schedule.lastStatus = job.status;
+        if (!schedule.cron) {
+            schedule.status = 'queued';
+        }
+        
+        await this.save(schedule);
+        console.log(`⏰ Scheduled message ${schedule.id} queued for ${schedule.to}`);
+    }
+    
+    async handleJobUpdate(job) {
+        const schedule = this.schedules.get(job.meta.scheduleId);
+        if (!schedule || schedule.lastJobId !== job.id || schedule.lastStatus === job.status) return;
+        
+        schedule.lastStatus = job.status;
+        schedule.lastError = job.lastError;
+        
+        // Only one-off messages take the outcome of their single send as their status
+        if (!schedule.cron && schedule.status === 'queued') {
+            if (job.status === 'sent') schedule.status = 'sent';
+            if (job.status === 'dead') schedule.status = 'failed';
+            if (job.status === 'cancelled') schedule.status = 'cancelled';
+        }
+        
+        await this.save(schedule);
+    }
+    
+    getSchedule(scheduleId) {
+        return this.schedules.get(scheduleId) || null;
+    }
+    
+    listSchedules({ sessionId, status } = {}) {
+        return Array.from(this.schedules.values())
+            .filter(schedule => (!sessionId || schedule.sessionId === sessionId) && (!status || schedule.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    
+    describeSchedule(schedule) {
+        return {
+            scheduleId: schedule.id,
+            sessionId: schedule.sessionId,
+            to: schedule.to,
+            message: schedule.message,
+            type: schedule.cron ? 'recurring' : 'once',
+            sendAt: schedule.sendAt,
+            cron: schedule.cron,
+            timezone: schedule.timezone,
+            status: schedule.status,
+            runCount: schedule.runCount,
+            lastRunAt: schedule.lastRunAt,
+            lastJobId: schedule.lastJobId,
+            lastStatus: schedule.lastStatus,
+            lastError: schedule.lastError,
+            createdAt: schedule.createdAt,
+            updatedAt: schedule.updatedAt
+        };
+    }
+    
+    async loadSchedules() {
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute('SELECT * FROM scheduled_messages ORDER BY created_at');
+                return rows.map(row => ({
+                    id: row.id,
+                    ownerId: row.owner_id,
+                    sessionId: row.session_id,
+                    to: row.recipient,
+                    message: row.message,
+                    sendAt: row.send_at ? new Date(row.send_at).toISOString() : null,
+                    cron: row.cron_expression,
+                    timezone: row.timezone,
+                    status: row.status,
+                    runCount: row.run_count,
+                    lastRunAt: row.last_run_at ? new Date(row.last_run_at).toISOString() : null,
+                    lastJobId: row.last_job_id,
+                    lastStatus: row.last_status,
+                    lastError: row.last_error,
+                    createdAt: new Date(row.created_at).toISOString(),
+                    updatedAt: new Date(row.updated_at).toISOString()
+                }));
+            } else if (this.localStore) {
+                return await this.localStore.list('scheduled_messages');
+            }
+        } catch (error) {
+            console.error('❌ Failed to load scheduled messages:', error.message);
+        }
+        
+        return [];
+    }
+    
+    async save(schedule) {
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    `INSERT INTO scheduled_messages
+                        (id, owner_id, session_id, recipient, message, send_at, cron_expression, timezone, status,
+                         run_count, last_run_at, last_job_id, last_status, last_error, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE
+                        recipient = VALUES(recipient), message = VALUES(message), send_at = VALUES(send_at),
+                        cron_expression = VALUES(cron_expression), timezone = VALUES(timezone), status = VALUES(status),
+                        run_count = VALUES(run_count), last_run_at = VALUES(last_run_at), last_job_id = VALUES(last_job_id),
+                        last_status = VALUES(last_status), last_error = VALUES(last_error), updated_at = VALUES(updated_at)`,
+                    [
+                        schedule.id, schedule.ownerId, schedule.sessionId, schedule.to, schedule.message,
+                        schedule.sendAt ? new Date(schedule.sendAt) : null, schedule.cron, schedule.timezone,
+                        schedule.status, schedule.runCount, schedule.lastRunAt ? new Date(schedule.lastRunAt) : null,
+                        schedule.lastJobId, schedule.lastStatus, schedule.lastError,
+                        new Date(schedule.createdAt), new Date(schedule.updatedAt)
+                    ]
+                );
+            } else if (this.localStore) {
+                await this.localStore.put('scheduled_messages', schedule.id, { ...schedule });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to save scheduled message ${schedule.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = MessageScheduler;
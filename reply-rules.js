@@ -0,0 +1,205 @@
+const { WEEKDAYS, isValidTimezone, getZonedParts } = require('./time-utils');
+
+const CONTACT_FILTERS = ['all', 'saved', 'unknown'];
+const TIME_RANGE = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+
+// Per-session rules deciding whether the bot answers an incoming message at all. Rules live
+// in the settings store under the session; evaluate() returns one of
+//   { action: 'reply' }               - answer normally
+//   { action: 'ignore', reason }      - stay silent
+//   { action: 'away', reason, message } - outside business hours, send the away message
+// Session owners are not subject to the rules (see server.js) so they can always run commands.
+class ReplyRules {
+    constructor(options = {}) {
+        this.settings = options.settings;
+        this.defaultTimezone = process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        
+        // Last away message per session and chat, so a chatty customer gets it once per cooldown
+        this.awaySent = new Map();
+    }
+    
+    getScope(sessionId) {
+        return `session:${sessionId}`;
+    }
+    
+    getRules(sessionId) {
+        const overrides = this.settings.get(this.getScope(sessionId), 'reply_rules', {});
+        
+        return {
+            autoReply: process.env.AUTO_REPLY_ENABLED !== 'false',
+            enabled: true,
+            allowlist: [],
+            blocklist: [],
+            contacts: 'all',
+            businessHours: null,
+            awayMessage: null,
+            awayCooldownMinutes: 60,
+            ...overrides
+        };
+    }
+    
+    // Returns an error message for invalid changes, or null
+    validateRules(changes) {
+        const isChatList = value => Array.isArray(value) && value.length <= 5000 &&
+            value.every(entry => typeof entry === 'string' && this.normalizeEntry(entry) !== null);
+        const rules = {
+            autoReply: value => typeof value === 'boolean' || 'autoReply must be true or false',
+            enabled: value => typeof value === 'boolean' || 'enabled must be true or false',
+            allowlist: value => isChatList(value) || 'allowlist must be a list of phone numbers or chat ids',
+            blocklist: value => isChatList(value) || 'blocklist must be a list of phone numbers or chat ids',
+            contacts: value => CONTACT_FILTERS.includes(value) || `contacts must be one of: ${CONTACT_FILTERS.join(', ')}`,
+            awayMessage: value => (typeof value === 'string' && value.trim().length > 0 && value.length <= 1000) || 'awayMessage must be a string of up to 1000 characters',
+            awayCooldownMinutes: value => (Number.isInteger(value) && value >= 0 && value <= 10080) || 'awayCooldownMinutes must be an integer between 0 and 10080',
+            businessHours: value => this.validateBusinessHours(value) || true
+        };
+        
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return 'Rules must be an object';
+        }
+        
+        for (const [field, value] of Object.entries(changes)) {
+            if (!rules[field]) {
+                return `Unknown rules field: ${field}`;
+            }
+            // null resets the field to the default
+            const result = value === null ? true : rules[field](value);
+            if (result !== true) {
+                return result;
+            }
+        }
+        
+        return null;
+    }
+    
+    // { timezone, days: { mon: ['09:00-13:00', '14:00-18:00'], ..., sun: [] } }; missing days are closed
+    validateBusinessHours(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return 'businessHours must be an object with timezone and days';
+        }
+        if (value.timezone !== undefined && !isValidTimezone(value.timezone)) {
+            return `Unknown timezone: ${value.timezone}`;
+        }
+        if (!value.days || typeof value.days !== 'object' || Array.isArray(value.days)) {
+            return 'businessHours.days must be an object keyed by weekday (mon-sun)';
+        }
+        
+        for (const [day, ranges] of Object.entries(value.days)) {
+            if (!WEEKDAYS.includes(day)) {
+                return `Unknown weekday in businessHours: ${day}`;
+            }
+            if (!Array.isArray(ranges) || !ranges.every(range => this.parseRange(range))) {
+                return `businessHours.days.${day} must be a list of HH:MM-HH:MM ranges`;
+            }
+        }
+        
+        return null;
+    }
+    
+    async updateRules(sessionId, changes) {
+        const overrides = { ...this.settings.get(this.getScope(sessionId), 'reply_rules', {}) };
+        
+        for (const [field, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete overrides[field];
+            } else if (field === 'allowlist' || field === 'blocklist') {
+                overrides[field] = [...new Set(value.map(entry => this.normalizeEntry(entry)))];
+            } else {
+                overrides[field] = value;
+            }
+        }
+        
+        await this.settings.set(this.getScope(sessionId), 'reply_rules', overrides);
+        console.log(`📏 Reply rules updated for session ${sessionId}: ${Object.keys(changes).join(', ')}`);
+        return this.getRules(sessionId);
+    }
+    
+    async resetRules(sessionId) {
+        await this.settings.remove(this.getScope(sessionId), 'reply_rules');
+        return this.getRules(sessionId);
+    }
+    
+    // "+91 98765-43210" -> "919876543210"; group and contact chat ids are kept as they are
+    normalizeEntry(entry) {
+        const value = String(entry).trim();
+        if (/^[\d-]+@(c|g)\.us$/.test(value)) {
+            return value;
+        }
+        
+        const digits = value.replace(/[\s()+-]/g, '');
+        return /^\d{6,15}$/.test(digits) ? digits : null;
+    }
+    
+    matches(list, fromNumber, chatId) {
+        return list.some(entry => entry === fromNumber || entry === chatId || `${entry}@c.us` === chatId);
+    }
+    
+    // "09:00-18:00" -> { start: 540, end: 1080 }; an end before the start runs past midnight
+    parseRange(range) {
+        const match = typeof range === 'string' && range.match(TIME_RANGE);
+        if (!match) {
+            return null;
+        }
+        
+        const start = Number(match[1]) * 60 + Number(match[2]);
+        const end = Number(match[3]) * 60 + Number(match[4]);
+        return start === end || end > 24 * 60 ? null : { start, end };
+    }
+    
+    isWithinHours(businessHours, now = new Date()) {
+        const parts = getZonedParts(now, businessHours.timezone || this.defaultTimezone);
+        const minutes = parts.hour * 60 + parts.minute;
+        const today = WEEKDAYS.indexOf(parts.weekday);
+        const yesterday = WEEKDAYS[(today + 6) % 7];
+        
+        const rangesFor = day => (businessHours.days[day] || []).map(range => this.parseRange(range)).filter(Boolean);
+        
+        const openToday = rangesFor(parts.weekday).some(({ start, end }) =>
+            start < end ? minutes >= start && minutes < end : minutes >= start);
+        // Overnight ranges from the previous day, e.g. fri 20:00-02:00 covers saturday 01:00
+        const openFromYesterday = rangesFor(yesterday).some(({ start, end }) => start > end && minutes < end);
+        
+        return openToday || openFromYesterday;
+    }
+    
+    evaluate(sessionId, { fromNumber, chatId, isMyContact = false, now = new Date() }) {
+        const rules = this.getRules(sessionId);
+        
+        if (!rules.autoReply) {
+            return { action: 'ignore', reason: 'auto-reply is off' };
+        }
+        if (!rules.enabled) {
+            return { action: 'reply' };
+        }
+        if (this.matches(rules.blocklist, fromNumber, chatId)) {
+            return { action: 'ignore', reason: 'blocklisted' };
+        }
+        if (rules.allowlist.length > 0 && !this.matches(rules.allowlist, fromNumber, chatId)) {
+            return { action: 'ignore', reason: 'not on the allowlist' };
+        }
+        if (rules.contacts === 'saved' && !isMyContact) {
+            return { action: 'ignore', reason: 'not a saved contact' };
+        }
+        if (rules.contacts === 'unknown' && isMyContact) {
+            return { action: 'ignore', reason: 'saved contact' };
+        }
+        
+        if (rules.businessHours && !this.isWithinHours(rules.businessHours, now)) {
+            if (!rules.awayMessage) {
+                return { action: 'ignore', reason: 'outside business hours' };
+            }
+            
+            const key = `${sessionId}:${chatId}`;
+            const lastSent = this.awaySent.get(key);
+            if (lastSent && now.getTime() - lastSent < rules.awayCooldownMinutes * 60000) {
+                return { action: 'ignore', reason: 'outside business hours, away message already sent' };
+            }
+            
+            this.awaySent.set(key, now.getTime());
+            return { action: 'away', reason: 'outside business hours', message: rules.awayMessage };
+        }
+        
+        return { action: 'reply' };
+    }
+}
+
+module.exports = ReplyRules;
@@ -7,11 +7,33 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const mysql = require('mysql2/promise');
 const cron = require('node-cron');
+const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const WhatsAppHandler = require('./whatsapp-handler');
 const AIReply = require('./ai-reply');
+const AuthManager = require('./auth');
+const LocalStore = require('./local-store');
+const SettingsStore = require('./settings-store');
+const CommandRouter = require('./command-router');
+const MediaProcessor = require('./media-processor');
+const MessageQueue = require('./message-queue');
+const CampaignManager = require('./campaign-manager');
+const MessageScheduler = require('./message-scheduler');
+const GroupPolicy = require('./group-policy');
+const ReplyRules = require('./reply-rules');
+const HandoverManager = require('./handover-manager');
+const Inbox = require('./inbox');
+const AutoResponder = require('./auto-responder');
+const WebhookManager = require('./webhook-manager');
+const TemplateStore = require('./template-store');
+const IdempotencyStore = require('./idempotency-store');
+const AnalyticsStore = require('./analytics-store');
+const MessageHistory = require('./message-history');
+const SessionStore = require('./session-store');
+const { parseContacts } = require('./contact-list');
 
 class WhatsAppBotServer {
     constructor() {
@@ -28,8 +50,34 @@ class WhatsAppBotServer {
         
         this.whatsappHandler = new WhatsAppHandler();
         this.aiReply = new AIReply();
+        this.auth = new AuthManager();
+        this.localStore = new LocalStore();
+        this.settings = new SettingsStore();
+        this.groupPolicy = new GroupPolicy({ settings: this.settings });
+        this.replyRules = new ReplyRules({ settings: this.settings });
+        this.handover = new HandoverManager({ settings: this.settings });
+        this.inbox = new Inbox();
+        this.autoResponder = new AutoResponder({ languages: Object.keys(this.aiReply.languagePatterns) });
+        this.templates = new TemplateStore({ languages: Object.keys(this.aiReply.languagePatterns) });
+        this.idempotency = new IdempotencyStore();
+        this.analytics = new AnalyticsStore();
+        this.history = new MessageHistory();
+        this.sessionStore = new SessionStore();
+        this.commands = new CommandRouter();
+        this.mediaProcessor = new MediaProcessor();
+        this.messageQueue = new MessageQueue({
+            send: job => this.sendQueuedJob(job),
+            isSessionReady: sessionId => !!this.activeSessions.get(sessionId)?.isReady
+        });
+        this.campaigns = new CampaignManager({ messageQueue: this.messageQueue });
+        this.scheduler = new MessageScheduler({ messageQueue: this.messageQueue });
+        this.webhooks = new WebhookManager();
         this.activeSessions = new Map();
         this.dbPool = null;
+        this.storageBackend = null;
+        
+        // Largest file accepted by /api/send-media (WhatsApp itself allows 16MB media)
+        this.maxMediaBytes = (parseInt(process.env.SEND_MEDIA_MAX_MB) || 16) * 1024 * 1024;
         
         this.init();
     }
@@ -37,20 +85,69 @@ class WhatsAppBotServer {
     async init() {
         try {
             await this.setupDatabase();
+            this.sessionStore.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            this.settings.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            await this.settings.load();
+            await this.aiReply.attachStorage({
+                dbPool: this.dbPool,
+                localStore: this.localStore,
+                settings: this.settings
+            });
+            this.messageQueue.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            this.setupMessageQueue();
+            // Started before campaigns and schedules load, since both enqueue straight away (running
+            // campaigns, and one-off schedules missed by less than the grace period)
+            await this.messageQueue.start();
+            this.campaigns.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            this.setupCampaigns();
+            this.setupHandover();
+            await this.campaigns.load();
+            this.scheduler.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            await this.scheduler.load();
+            this.autoResponder.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            await this.autoResponder.load();
+            this.templates.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            await this.templates.load();
+            this.idempotency.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            await this.idempotency.load();
+            this.analytics.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            await this.analytics.start();
+            this.history.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            this.webhooks.setStorage({ dbPool: this.dbPool, localStore: this.localStore });
+            await this.webhooks.start();
             this.setupMiddleware();
             this.setupRoutes();
             this.setupSocketIO();
+            this.setupCommands();
             this.setupCronJobs();
             this.startServer();
             
             console.log('🚀 WhatsApp Bot Server initialized successfully');
+            
+            // Reconnect previously linked phones in the background
+            this.restoreSessions().catch(error => {
+                console.error('❌ Session restore failed:', error);
+            });
         } catch (error) {
             console.error('❌ Server initialization failed:', error);
             process.exit(1);
         }
     }
     
+    // STORAGE_BACKEND is mysql or file (JSON files under LOCAL_STORE_PATH). Without it MySQL
+    // is tried when DB_HOST is set and file storage takes over if it cannot be reached; an
+    // explicit mysql backend that is unreachable stops the server instead.
     async setupDatabase() {
+        this.storageBackend = process.env.STORAGE_BACKEND || (process.env.DB_HOST ? 'mysql' : 'file');
+        
+        if (this.storageBackend === 'file') {
+            console.log(`💾 Using file storage in ${this.localStore.dataPath}`);
+            return;
+        }
+        if (this.storageBackend !== 'mysql') {
+            throw new Error(`Unknown STORAGE_BACKEND "${this.storageBackend}", use mysql or file`);
+        }
+        
         try {
             this.dbPool = mysql.createPool({
                 host: process.env.DB_HOST,
@@ -75,8 +172,13 @@ class WhatsAppBotServer {
             
             console.log('✅ Database connected successfully');
         } catch (error) {
-            console.log('⚠️ Database connection failed, continuing without DB:', error.message);
             this.dbPool = null;
+            if (process.env.STORAGE_BACKEND === 'mysql') {
+                throw new Error(`Database connection failed: ${error.message}`);
+            }
+            
+            console.log(`⚠️ Database connection failed (${error.message}), using file storage in ${this.localStore.dataPath}`);
+            this.storageBackend = 'file';
         }
     }
     
@@ -118,6 +220,210 @@ class WhatsAppBotServer {
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                     UNIQUE KEY unique_date (date)
                 )
+            `,
+            memory: `
+                CREATE TABLE IF NOT EXISTS conversation_memory (
+                    session_id VARCHAR(255) NOT NULL,
+                    contact VARCHAR(100) NOT NULL,
+                    summary TEXT,
+                    turns MEDIUMTEXT,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    PRIMARY KEY (session_id, contact)
+                )
+            `,
+            knowledge: `
+                CREATE TABLE IF NOT EXISTS knowledge_documents (
+                    id VARCHAR(36) PRIMARY KEY,
+                    owner_id VARCHAR(255),
+                    session_id VARCHAR(255),
+                    title VARCHAR(255),
+                    filename VARCHAR(255),
+                    format VARCHAR(20),
+                    content MEDIUMTEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `,
+            settings: `
+                CREATE TABLE IF NOT EXISTS bot_settings (
+                    scope VARCHAR(255) NOT NULL,
+                    setting_key VARCHAR(100) NOT NULL,
+                    value MEDIUMTEXT,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    PRIMARY KEY (scope, setting_key)
+                )
+            `,
+            queue: `
+                CREATE TABLE IF NOT EXISTS message_queue (
+                    id VARCHAR(36) PRIMARY KEY,
+                    session_id VARCHAR(255) NOT NULL,
+                    owner_id VARCHAR(255),
+                    recipient VARCHAR(100) NOT NULL,
+                    job_type VARCHAR(20) NOT NULL,
+                    payload LONGTEXT,
+                    status VARCHAR(20) NOT NULL,
+                    attempts INT DEFAULT 0,
+                    max_attempts INT DEFAULT 5,
+                    next_attempt_at BIGINT,
+                    last_error TEXT,
+                    message_id VARCHAR(255),
+                    source VARCHAR(50),
+                    meta TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    sent_at TIMESTAMP NULL,
+                    INDEX idx_queue_status (status, session_id)
+                )
+            `,
+            campaigns: `
+                CREATE TABLE IF NOT EXISTS campaigns (
+                    id VARCHAR(36) PRIMARY KEY,
+                    owner_id VARCHAR(255),
+                    session_id VARCHAR(255) NOT NULL,
+                    name VARCHAR(255),
+                    template TEXT,
+                    media LONGTEXT,
+                    status VARCHAR(20) NOT NULL,
+                    total INT DEFAULT 0,
+                    counts TEXT,
+                    scheduled_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    started_at TIMESTAMP NULL,
+                    completed_at TIMESTAMP NULL
+                )
+            `,
+            campaignRecipients: `
+                CREATE TABLE IF NOT EXISTS campaign_recipients (
+                    campaign_id VARCHAR(36) NOT NULL,
+                    idx INT NOT NULL,
+                    phone VARCHAR(50) NOT NULL,
+                    variables TEXT,
+                    status VARCHAR(20) NOT NULL,
+                    job_id VARCHAR(36),
+                    message_id VARCHAR(255),
+                    error TEXT,
+                    sent_at TIMESTAMP NULL,
+                    delivered_at TIMESTAMP NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    PRIMARY KEY (campaign_id, idx),
+                    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+                )
+            `,
+            schedules: `
+                CREATE TABLE IF NOT EXISTS scheduled_messages (
+                    id VARCHAR(36) PRIMARY KEY,
+                    owner_id VARCHAR(255),
+                    session_id VARCHAR(255) NOT NULL,
+                    recipient VARCHAR(100) NOT NULL,
+                    message TEXT NOT NULL,
+                    send_at TIMESTAMP NULL,
+                    cron_expression VARCHAR(100),
+                    timezone VARCHAR(64),
+                    status VARCHAR(20) NOT NULL,
+                    run_count INT DEFAULT 0,
+                    last_run_at TIMESTAMP NULL,
+                    last_job_id VARCHAR(36),
+                    last_status VARCHAR(20),
+                    last_error TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                )
+            `,
+            autoResponses: `
+                CREATE TABLE IF NOT EXISTS auto_responses (
+                    id VARCHAR(36) PRIMARY KEY,
+                    owner_id VARCHAR(255),
+                    session_id VARCHAR(255) NOT NULL,
+                    name VARCHAR(100),
+                    position INT NOT NULL,
+                    match_type VARCHAR(10) NOT NULL,
+                    pattern TEXT NOT NULL,
+                    case_sensitive BOOLEAN DEFAULT FALSE,
+                    replies TEXT,
+                    media LONGTEXT,
+                    enabled BOOLEAN DEFAULT TRUE,
+                    hits INT DEFAULT 0,
+                    last_hit_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_session (session_id, position)
+                )
+            `,
+            webhooks: `
+                CREATE TABLE IF NOT EXISTS webhooks (
+                    id VARCHAR(36) PRIMARY KEY,
+                    owner_id VARCHAR(255),
+                    session_id VARCHAR(255) NOT NULL,
+                    url TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    secret VARCHAR(100) NOT NULL,
+                    description VARCHAR(255),
+                    enabled BOOLEAN DEFAULT TRUE,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                )
+            `,
+            webhookDeliveries: `
+                CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                    id VARCHAR(36) PRIMARY KEY,
+                    webhook_id VARCHAR(36) NOT NULL,
+                    session_id VARCHAR(255) NOT NULL,
+                    event VARCHAR(50) NOT NULL,
+                    payload MEDIUMTEXT NOT NULL,
+                    status VARCHAR(20) NOT NULL,
+                    attempts INT DEFAULT 0,
+                    next_attempt_at TIMESTAMP NULL,
+                    response_status INT,
+                    response_body TEXT,
+                    last_error TEXT,
+                    replay_of VARCHAR(36),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    delivered_at TIMESTAMP NULL,
+                    INDEX idx_webhook (webhook_id, created_at),
+                    INDEX idx_status (status)
+                )
+            `,
+            messageTemplates: `
+                CREATE TABLE IF NOT EXISTS message_templates (
+                    id VARCHAR(36) PRIMARY KEY,
+                    owner_id VARCHAR(255),
+                    session_id VARCHAR(255) NOT NULL,
+                    name VARCHAR(64) NOT NULL,
+                    version INT NOT NULL,
+                    description VARCHAR(255),
+                    variants TEXT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE KEY unique_version (session_id, name, version)
+                )
+            `,
+            idempotencyKeys: `
+                CREATE TABLE IF NOT EXISTS idempotency_keys (
+                    scope VARCHAR(255) NOT NULL,
+                    idempotency_key VARCHAR(255) NOT NULL,
+                    fingerprint VARCHAR(64) NOT NULL,
+                    job_id VARCHAR(36),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (scope, idempotency_key)
+                )
+            `,
+            sessionAnalytics: `
+                CREATE TABLE IF NOT EXISTS session_analytics (
+                    date DATE NOT NULL,
+                    session_id VARCHAR(255) NOT NULL,
+                    owner_id VARCHAR(255),
+                    inbound INT DEFAULT 0,
+                    replies INT DEFAULT 0,
+                    fallbacks INT DEFAULT 0,
+                    rate_limited INT DEFAULT 0,
+                    ai_errors INT DEFAULT 0,
+                    latency_median_ms INT,
+                    latency_p95_ms INT,
+                    unique_contacts INT DEFAULT 0,
+                    latencies MEDIUMTEXT,
+                    latency_count INT DEFAULT 0,
+                    languages TEXT,
+                    contacts MEDIUMTEXT,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    PRIMARY KEY (date, session_id)
+                )
             `
         };
         
@@ -129,6 +435,49 @@ class WhatsAppBotServer {
                 console.error(`❌ Failed to create table ${name}:`, error);
             }
         }
+        
+        // Columns added after the original schema shipped
+        const columns = [
+            ['whatsapp_sessions', 'owner_id', 'VARCHAR(255)'],
+            ['whatsapp_sessions', 'ai_provider', 'VARCHAR(50)'],
+            ['session_analytics', 'latency_count', 'INT DEFAULT 0']
+        ];
+        
+        for (const [table, column, definition] of columns) {
+            await this.addColumnIfMissing(table, column, definition);
+        }
+        
+        // Conversation paging and message search
+        const indexes = [
+            ['whatsapp_messages', 'idx_conversation', 'INDEX idx_conversation (session_id, from_number, timestamp)'],
+            ['whatsapp_messages', 'ft_messages', 'FULLTEXT INDEX ft_messages (message_text, ai_reply)']
+        ];
+        
+        for (const [table, name, definition] of indexes) {
+            await this.addIndexIfMissing(table, name, definition);
+        }
+    }
+    
+    async addColumnIfMissing(table, column, definition) {
+        try {
+            await this.dbPool.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`✅ Column ${table}.${column} added`);
+        } catch (error) {
+            if (error.code !== 'ER_DUP_FIELDNAME') {
+                console.error(`❌ Failed to add column ${table}.${column}:`, error);
+            }
+        }
+    }
+    
+    async addIndexIfMissing(table, name, definition) {
+        try {
+            await this.dbPool.execute(`ALTER TABLE ${table} ADD ${definition}`);
+            console.log(`✅ Index ${table}.${name} added`);
+        } catch (error) {
+            if (error.code !== 'ER_DUP_KEYNAME') {
+                console.error(`❌ Failed to add index ${table}.${name}:`, error);
+            }
+        }
     }
     
     setupMiddleware() {
@@ -158,7 +507,9 @@ class WhatsAppBotServer {
         this.app.use(limiter);
         
         // Body parsing
-        this.app.use(express.json({ limit: '10mb' }));
+        // Large enough for base64 media uploads
+        const jsonLimit = Math.max(10, Math.ceil(this.maxMediaBytes * 4 / 3 / 1024 / 1024) + 1);
+        this.app.use(express.json({ limit: `${jsonLimit}mb` }));
         this.app.use(express.urlencoded({ extended: true }));
         
         // Request logging
@@ -176,10 +527,40 @@ class WhatsAppBotServer {
                 timestamp: new Date().toISOString(),
                 uptime: process.uptime(),
                 memory: process.memoryUsage(),
-                activeSessions: this.activeSessions.size
+                activeSessions: this.activeSessions.size,
+                storage: this.storageBackend
             });
         });
         
+        // Exchange an API key for a short-lived JWT (for dashboards)
+        this.app.post('/api/auth/token', (req, res) => {
+            const principal = this.auth.verifyApiKey(req.headers['x-api-key'] || req.body.apiKey);
+            if (!principal) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid API key'
+                });
+            }
+            
+            try {
+                res.json({
+                    success: true,
+                    data: {
+                        token: this.auth.issueToken(principal),
+                        expiresIn: this.auth.tokenExpiry
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Everything else under /api requires a JWT or API key
+        this.app.use('/api', this.auth.middleware());
+        
         // API Routes
         this.app.get('/api/status', async (req, res) => {
             try {
@@ -207,21 +588,83 @@ class WhatsAppBotServer {
                     });
                 }
                 
-                const session = this.activeSessions.get(sessionId);
-                if (!session || !session.isReady) {
+                // Sessions that are reconnecting still accept messages; the queue waits for them
+                const found = await this.getAccessibleSession(req.principal, sessionId);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const job = await this.messageQueue.enqueue({
+                    sessionId,
+                    ownerId: (found.session || found.stored).ownerId,
+                    to,
+                    message,
+                    source: 'api'
+                });
+                
+                await this.respondWithJob(req, res, job);
+                
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Multipart field "file" or JSON { data (base64 or data URL), mimeType, filename }
+        const upload = multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: this.maxMediaBytes, files: 1 }
+        }).single('file');
+        
+        this.app.post('/api/send-media', this.handleUpload(upload), async (req, res) => {
+            try {
+                const { sessionId, to, caption } = req.body;
+                
+                if (!sessionId || !to) {
                     return res.status(400).json({
                         success: false,
-                        error: 'Session not ready'
+                        error: 'Missing required parameters'
+                    });
+                }
+                
+                const found = await this.getAccessibleSession(req.principal, sessionId);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const parsed = this.parseMediaUpload(req.body, req.file);
+                if (parsed.error) {
+                    return res.status(parsed.status || 400).json({
+                        success: false,
+                        error: parsed.error
                     });
                 }
                 
-                await session.client.sendMessage(to, message);
+                const { media, sendAs } = parsed;
+                const options = this.getMediaOptions(sendAs);
                 
-                res.json({
-                    success: true,
-                    message: 'Message sent successfully'
+                const job = await this.messageQueue.enqueue({
+                    sessionId,
+                    ownerId: (found.session || found.stored).ownerId,
+                    to,
+                    type: 'media',
+                    media,
+                    caption: sendAs === 'voice' ? '' : (caption || ''),
+                    options,
+                    source: 'api',
+                    meta: { sendAs }
                 });
                 
+                await this.respondWithJob(req, res, job);
+                
             } catch (error) {
                 res.status(500).json({
                     success: false,
@@ -230,6 +673,21 @@ class WhatsAppBotServer {
             }
         });
         
+        this.setupQueueRoutes();
+        this.setupCampaignRoutes();
+        this.setupScheduleRoutes();
+        this.setupSessionRoutes();
+        this.setupGroupRoutes();
+        this.setupRulesRoutes();
+        this.setupHandoverRoutes();
+        this.setupInboxRoutes();
+        this.setupAutoResponseRoutes();
+        this.setupWebhookRoutes();
+        this.setupTemplateRoutes();
+        this.setupAnalyticsRoutes();
+        this.setupHistoryRoutes();
+        this.setupKnowledgeRoutes();
+        
         // Fallback route
         this.app.get('*', (req, res) => {
             res.status(404).json({
@@ -240,6 +698,13 @@ class WhatsAppBotServer {
         
         // Error handler
         this.app.use((error, req, res, next) => {
+            if (error.type === 'entity.too.large') {
+                return res.status(413).json({
+                    success: false,
+                    error: 'Request body is too large'
+                });
+            }
+            
             console.error('❌ Express error:', error);
             res.status(500).json({
                 success: false,
@@ -248,114 +713,2537 @@ class WhatsAppBotServer {
         });
     }
     
-    setupSocketIO() {
-        this.io.on('connection', (socket) => {
-            console.log(`📱 Client connected: ${socket.id}`);
-            
-            socket.emit('connected', {
-                message: 'Connected to WhatsApp Bot Server',
-                timestamp: new Date().toISOString()
-            });
-            
-            // Generate QR Code
-            socket.on('generate_qr', async (callback) => {
-                try {
-                    const sessionId = uuidv4();
-                    console.log(`🔄 Generating QR for session: ${sessionId}`);
-                    
-                    const session = await this.createWhatsAppSession(sessionId, socket);
-                    this.activeSessions.set(sessionId, session);
-                    
-                    if (callback) callback({ success: true, sessionId });
-                    
-                } catch (error) {
-                    console.error('❌ QR generation failed:', error);
-                    socket.emit('error', {
-                        message: 'Failed to generate QR code',
-                        error: error.message
-                    });
-                    if (callback) callback({ success: false, error: error.message });
-                }
-            });
-            
-            // Get Status
-            socket.on('get_status', async (callback) => {
-                try {
-                    const stats = await this.getSystemStats();
-                    if (callback) callback(stats);
-                } catch (error) {
-                    if (callback) callback({ error: error.message });
-                }
-            });
-            
-            // Handle disconnect
-            socket.on('disconnect', () => {
-                console.log(`📱 Client disconnected: ${socket.id}`);
-            });
-        });
+    // Waits for the send unless the caller passed wait=false: 200 once sent,
+    // 202 while still queued, 502 when the message was dead-lettered
+    async respondWithJob(req, res, job) {
+        const wait = req.body.wait !== false && req.body.wait !== 'false';
+        const timeout = Math.min(parseInt(req.body.timeout) || 15000, 60000);
+        const current = wait ? await this.messageQueue.waitFor(job.id, timeout) : job;
+        const data = this.messageQueue.describeJob(current);
+        
+        if (current.status === 'sent') {
+            return res.json({ success: true, data });
+        }
+        if (current.status === 'dead') {
+            return res.status(502).json({ success: false, error: current.lastError, data });
+        }
+        res.status(202).json({ success: true, data });
     }
     
-    async createWhatsAppSession(sessionId, socket) {
-        const session = {
-            id: sessionId,
-            client: null,
-            socket: socket,
-            isReady: false,
-            messagesSent: 0,
-            lastActivity: Date.now()
+    setupQueueRoutes() {
+        const findJob = async (req, res) => {
+            const job = await this.messageQueue.getJob(req.params.jobId);
+            if (!job || !this.auth.canAccess(req.principal, job.ownerId)) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Job not found'
+                });
+                return null;
+            }
+            return job;
         };
         
-        try {
-            // Create WhatsApp client
-            session.client = await this.whatsappHandler.createClient(sessionId);
-            
-            // QR Code handler
-            session.client.on('qr', async (qr) => {
-                console.log('📷 QR Code generated for session:', sessionId);
-                const qrcode = require('qrcode');
-                const qrImage = await qrcode.toDataURL(qr);
-                socket.emit('qr', qrImage);
-            });
-            
-            // Ready handler
-            session.client.on('ready', async () => {
-                console.log('✅ WhatsApp ready for session:', sessionId);
-                session.isReady = true;
-                socket.emit('ready');
+        this.app.get('/api/queue', async (req, res) => {
+            try {
+                const { sessionId, status, limit } = req.query;
+                const jobs = await this.messageQueue.listJobs({ sessionId, status, limit });
                 
-                // Save session to database
-                await this.saveSession(sessionId, 'connected');
-            });
-            
-            // Message handler
-            session.client.on('message_create', async (message) => {
-                if (message.fromMe) return; // Skip own messages
+                res.json({
+                    success: true,
+                    data: jobs
+                        .filter(job => this.auth.canAccess(req.principal, job.ownerId))
+                        .map(job => this.messageQueue.describeJob(job))
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/queue/:jobId', async (req, res) => {
+            try {
+                const job = await findJob(req, res);
+                if (!job) return;
                 
-                try {
-                    await this.handleIncomingMessage(message, session);
-                } catch (error) {
-                    console.error('❌ Message handling error:', error);
+                res.json({
+                    success: true,
+                    data: this.messageQueue.describeJob(job)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Puts a dead-lettered job back into the queue
+        this.app.post('/api/queue/:jobId/retry', async (req, res) => {
+            try {
+                const job = await findJob(req, res);
+                if (!job) return;
+                
+                const retried = await this.messageQueue.retry(job.id);
+                if (!retried) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Only dead jobs can be retried, this one is ${job.status}`
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.messageQueue.describeJob(retried)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.delete('/api/queue/:jobId', async (req, res) => {
+            try {
+                const job = await findJob(req, res);
+                if (!job) return;
+                
+                const cancelled = await this.messageQueue.cancel(job.id);
+                if (!cancelled) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Only queued jobs can be cancelled, this one is ${job.status}`
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.messageQueue.describeJob(cancelled)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    // Turns multer errors into 413/400 responses instead of the generic error handler
+    handleUpload(upload) {
+        return (req, res, next) => {
+            upload(req, res, error => {
+                if (error) {
+                    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                        success: false,
+                        error: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message
+                    });
                 }
+                next();
             });
-            
-            // Disconnection handler
+        };
+    }
+    
+    // Reads an uploaded file (multipart, or base64 in fields.data) and decides how WhatsApp should show it
+    parseMediaUpload(fields, file = null) {
+        let { data, mimeType, filename, sendAs } = fields;
+        let buffer;
+        
+        if (file) {
+            buffer = file.buffer;
+            mimeType = mimeType || file.mimetype;
+            filename = filename || file.originalname;
+        } else if (typeof data === 'string' && data.length > 0) {
+            // Accept data URLs as well as plain base64
+            const dataUrl = data.match(/^data:([^;,]+)(?:;[^,]*)?,(.*)$/s);
+            if (dataUrl) {
+                mimeType = mimeType || dataUrl[1];
+                data = dataUrl[2];
+            }
+            buffer = Buffer.from(data, 'base64');
+        } else {
+            return { error: 'Provide a multipart "file" or base64 "data"' };
+        }
+        
+        if (buffer.length === 0) {
+            return { error: 'File is empty' };
+        }
+        if (buffer.length > this.maxMediaBytes) {
+            return { error: 'File is too large', status: 413 };
+        }
+        if (!mimeType || !/^[\w.+-]+\/[\w.+-]+/.test(mimeType)) {
+            return { error: 'A valid mimeType is required' };
+        }
+        
+        // auto: photos as images, audio as voice notes, everything else as a document
+        const type = mimeType.split(';')[0];
+        if (!sendAs || sendAs === 'auto') {
+            sendAs = type.startsWith('image/') ? 'image' : type.startsWith('audio/') ? 'voice' : 'document';
+        }
+        
+        if (!['document', 'image', 'voice'].includes(sendAs)) {
+            return { error: 'sendAs must be document, image, voice or auto' };
+        }
+        if (sendAs === 'image' && !type.startsWith('image/')) {
+            return { error: 'Only image files can be sent as an image' };
+        }
+        if (sendAs === 'voice' && !type.startsWith('audio/')) {
+            return { error: 'Only audio files can be sent as a voice note' };
+        }
+        
+        return {
+            sendAs,
+            media: {
+                mimetype: mimeType,
+                data: buffer.toString('base64'),
+                filename: filename || null,
+                filesize: buffer.length
+            }
+        };
+    }
+    
+    getMediaOptions(sendAs) {
+        const options = {};
+        if (sendAs === 'document') options.sendMediaAsDocument = true;
+        if (sendAs === 'voice') options.sendAudioAsVoice = true;
+        return options;
+    }
+    
+    setupCampaignRoutes() {
+        const findCampaign = (req, res) => {
+            const campaign = this.campaigns.getCampaign(req.params.id);
+            if (!campaign || !this.auth.canAccess(req.principal, campaign.ownerId)) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Campaign not found'
+                });
+                return null;
+            }
+            return campaign;
+        };
+        
+        this.app.get('/api/campaigns', (req, res) => {
+            try {
+                const { sessionId, status } = req.query;
+                
+                res.json({
+                    success: true,
+                    data: this.campaigns.listCampaigns({ sessionId, status })
+                        .filter(campaign => this.auth.canAccess(req.principal, campaign.ownerId))
+                        .map(campaign => this.campaigns.describeCampaign(campaign))
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Multipart with a "contacts" file (CSV or JSON) and an optional "media" file, or JSON
+        // with contacts as an array or CSV text and media as { data, mimeType, filename, sendAs }
+        const upload = multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: this.maxMediaBytes, files: 2 }
+        }).fields([{ name: 'contacts', maxCount: 1 }, { name: 'media', maxCount: 1 }]);
+        
+        this.app.post('/api/campaigns', this.handleUpload(upload), async (req, res) => {
+            try {
+                const { sessionId, name, template, scheduledAt, contactsFormat } = req.body;
+                
+                if (!sessionId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'sessionId is required'
+                    });
+                }
+                
+                const found = await this.getAccessibleSession(req.principal, sessionId);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const contactsFile = req.files?.contacts?.[0];
+                const contactsInput = contactsFile ? contactsFile.buffer.toString('utf8') : req.body.contacts;
+                if (!contactsInput) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Provide a contact list as "contacts"'
+                    });
+                }
+                
+                let parsed;
+                try {
+                    const format = contactsFormat || (contactsFile && /\.json$/i.test(contactsFile.originalname) ? 'json' : null);
+                    parsed = parseContacts(contactsInput, format);
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+                
+                let media = null;
+                const mediaFile = req.files?.media?.[0];
+                if (mediaFile || (req.body.media && typeof req.body.media === 'object')) {
+                    const upload = this.parseMediaUpload(mediaFile ? req.body : req.body.media, mediaFile);
+                    if (upload.error) {
+                        return res.status(upload.status || 400).json({
+                            success: false,
+                            error: upload.error
+                        });
+                    }
+                    media = { ...upload.media, sendAs: upload.sendAs, options: this.getMediaOptions(upload.sendAs) };
+                }
+                
+                const validationError = this.campaigns.validateCampaign({
+                    template,
+                    contacts: parsed.contacts,
+                    media,
+                    scheduledAt
+                });
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError,
+                        data: { invalid: parsed.invalid.slice(0, 100) }
+                    });
+                }
+                
+                const campaign = await this.campaigns.create({
+                    ownerId: (found.session || found.stored).ownerId,
+                    sessionId,
+                    name,
+                    template,
+                    contacts: parsed.contacts,
+                    media,
+                    scheduledAt
+                });
+                
+                res.status(201).json({
+                    success: true,
+                    data: {
+                        ...this.campaigns.describeCampaign(campaign),
+                        // Rows that were skipped and template variables some contacts lack
+                        invalid: parsed.invalid.slice(0, 100),
+                        invalidCount: parsed.invalid.length,
+                        duplicates: parsed.duplicates,
+                        missingVariables: this.campaigns.findMissingVariables(campaign.template, parsed.contacts)
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/campaigns/:id', (req, res) => {
+            try {
+                const campaign = findCampaign(req, res);
+                if (!campaign) return;
+                
+                res.json({
+                    success: true,
+                    data: this.campaigns.describeCampaign(campaign)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/campaigns/:id/recipients', async (req, res) => {
+            try {
+                const campaign = findCampaign(req, res);
+                if (!campaign) return;
+                
+                const { status, limit, offset } = req.query;
+                const result = await this.campaigns.getRecipients(campaign, { status, limit, offset });
+                
+                res.json({
+                    success: true,
+                    data: {
+                        total: result.total,
+                        recipients: result.recipients.map(recipient => this.campaigns.describeRecipient(recipient))
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // POST /api/campaigns/:id/pause, /resume and /cancel
+        const actions = {
+            pause: ['scheduled or running', campaignId => this.campaigns.pause(campaignId)],
+            resume: ['paused', campaignId => this.campaigns.resume(campaignId)],
+            cancel: ['not finished', campaignId => this.campaigns.cancel(campaignId)]
+        };
+        
+        for (const [action, [allowed, run]] of Object.entries(actions)) {
+            this.app.post(`/api/campaigns/:id/${action}`, async (req, res) => {
+                try {
+                    const campaign = findCampaign(req, res);
+                    if (!campaign) return;
+                    
+                    const updated = await run(campaign.id);
+                    if (!updated) {
+                        return res.status(409).json({
+                            success: false,
+                            error: `Only campaigns that are ${allowed} can be ${action === 'cancel' ? 'cancelled' : `${action}d`}, this one is ${campaign.status}`
+                        });
+                    }
+                    
+                    res.json({
+                        success: true,
+                        data: this.campaigns.describeCampaign(updated)
+                    });
+                } catch (error) {
+                    res.status(500).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+            });
+        }
+    }
+    
+    setupScheduleRoutes() {
+        const findSchedule = (req, res) => {
+            const schedule = this.scheduler.getSchedule(req.params.id);
+            if (!schedule || !this.auth.canAccess(req.principal, schedule.ownerId)) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Scheduled message not found'
+                });
+                return null;
+            }
+            return schedule;
+        };
+        
+        this.app.get('/api/schedules', (req, res) => {
+            try {
+                const { sessionId, status } = req.query;
+                
+                res.json({
+                    success: true,
+                    data: this.scheduler.listSchedules({ sessionId, status })
+                        .filter(schedule => this.auth.canAccess(req.principal, schedule.ownerId))
+                        .map(schedule => this.scheduler.describeSchedule(schedule))
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { sessionId, to, message } plus sendAt for a one-off message or cron for a recurring one.
+        // Times without an offset and cron expressions use timezone (default SCHEDULE_TIMEZONE).
+        this.app.post('/api/schedules', async (req, res) => {
+            try {
+                const { sessionId, to, message, sendAt, cron: expression, timezone } = req.body;
+                
+                if (!sessionId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'sessionId is required'
+                    });
+                }
+                
+                const found = await this.getAccessibleSession(req.principal, sessionId);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const validationError = this.scheduler.validate({ to, message, sendAt, cron: expression, timezone });
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                const schedule = await this.scheduler.create({
+                    ownerId: (found.session || found.stored).ownerId,
+                    sessionId,
+                    to,
+                    message,
+                    sendAt,
+                    cron: expression,
+                    timezone
+                });
+                
+                res.status(201).json({
+                    success: true,
+                    data: this.scheduler.describeSchedule(schedule)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/schedules/:id', (req, res) => {
+            try {
+                const schedule = findSchedule(req, res);
+                if (!schedule) return;
+                
+                res.json({
+                    success: true,
+                    data: this.scheduler.describeSchedule(schedule)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Partial update of to, message, sendAt, cron and timezone
+        this.app.put('/api/schedules/:id', async (req, res) => {
+            try {
+                const schedule = findSchedule(req, res);
+                if (!schedule) return;
+                
+                const { to, message, sendAt, cron: expression, timezone } = req.body;
+                const changes = Object.fromEntries(
+                    Object.entries({ to, message, sendAt, cron: expression, timezone }).filter(([, value]) => value !== undefined)
+                );
+                
+                const validationError = this.scheduler.validate(changes, schedule);
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                const updated = await this.scheduler.update(schedule.id, changes);
+                if (!updated) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Only pending scheduled messages can be edited, this one is ${schedule.status}`
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.scheduler.describeSchedule(updated)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.delete('/api/schedules/:id', async (req, res) => {
+            try {
+                const schedule = findSchedule(req, res);
+                if (!schedule) return;
+                
+                const cancelled = await this.scheduler.cancel(schedule.id);
+                if (!cancelled) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `This scheduled message is already ${schedule.status}`
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.scheduler.describeSchedule(cancelled)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupSessionRoutes() {
+        this.app.get('/api/sessions', async (req, res) => {
+            try {
+                const sessions = Array.from(this.activeSessions.values())
+                    .filter(session => this.auth.canAccess(req.principal, session.ownerId))
+                    .map(session => this.describeSession(session));
+                
+                // Include known sessions that are not running in this process
+                for (const stored of await this.getStoredSessions()) {
+                    if (!this.activeSessions.has(stored.sessionId) &&
+                        this.auth.canAccess(req.principal, stored.ownerId)) {
+                        sessions.push(stored);
+                    }
+                }
+                
+                res.json({
+                    success: true,
+                    data: sessions
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/sessions/:id', async (req, res) => {
+            try {
+                const sessionId = req.params.id;
+                const found = await this.getAccessibleSession(req.principal, sessionId);
+                
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                if (found.session) {
+                    const clientStatus = await this.whatsappHandler.getClientStatus(sessionId);
+                    return res.json({
+                        success: true,
+                        data: {
+                            ...this.describeSession(found.session),
+                            client: clientStatus
+                        }
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: found.stored
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.post('/api/sessions', async (req, res) => {
+            try {
+                const { provider } = req.body;
+                if (provider && !this.aiReply.isKnownProvider(provider)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unknown AI provider: ${provider}`
+                    });
+                }
+                
+                const session = await this.createNewSession(null, {
+                    ownerId: req.principal.id,
+                    aiProvider: provider || null
+                });
+                
+                // wait=false returns immediately; poll GET /api/sessions/:id/qr instead
+                const waitForQR = req.body.wait !== false && req.query.wait !== 'false';
+                if (waitForQR) {
+                    const timeout = Math.min(parseInt(req.body.timeout || req.query.timeout) || 30000, 60000);
+                    await this.waitForQR(session, timeout);
+                }
+                
+                res.status(201).json({
+                    success: true,
+                    data: {
+                        ...this.describeSession(session),
+                        qr: session.qr
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/sessions/:id/qr', (req, res) => {
+            const session = this.activeSessions.get(req.params.id);
+            if (!session || !this.auth.canAccess(req.principal, session.ownerId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: {
+                    sessionId: session.id,
+                    status: session.status,
+                    isReady: session.isReady,
+                    qr: session.qr
+                }
+            });
+        });
+        
+        this.app.post('/api/sessions/:id/restart', async (req, res) => {
+            try {
+                const sessionId = req.params.id;
+                const found = await this.getAccessibleSession(req.principal, sessionId);
+                
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const session = await this.restartWhatsAppSession(sessionId, found.stored);
+                
+                res.json({
+                    success: true,
+                    data: this.describeSession(session)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.delete('/api/sessions/:id', async (req, res) => {
+            try {
+                const sessionId = req.params.id;
+                const found = await this.getAccessibleSession(req.principal, sessionId);
+                
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                await this.removeWhatsAppSession(sessionId);
+                
+                res.json({
+                    success: true,
+                    message: 'Session logged out and removed'
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Persona, prompts and model settings used for this session's replies
+        this.app.get('/api/sessions/:id/config', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.aiReply.getSessionConfig(req.params.id)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Partial update: only the given fields change, null resets a field
+        this.app.put('/api/sessions/:id/config', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const validationError = this.aiReply.validateSessionConfig(req.body);
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                const config = await this.aiReply.updateSessionConfig(req.params.id, req.body);
+                
+                res.json({
+                    success: true,
+                    data: config
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.delete('/api/sessions/:id/config', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const config = await this.aiReply.resetSessionConfig(req.params.id);
+                
+                res.json({
+                    success: true,
+                    data: config
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupGroupRoutes() {
+        this.app.get('/api/sessions/:id/groups', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: await this.groupPolicy.listGroups(found.session, req.params.id)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { enabled: true | false } for one group chat id (1203...@g.us)
+        this.app.put('/api/sessions/:id/groups/:groupId', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const { groupId } = req.params;
+                const { enabled, name } = req.body;
+                
+                if (!this.groupPolicy.isGroup(groupId)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'groupId must be a group chat id ending in @g.us'
+                    });
+                }
+                if (typeof enabled !== 'boolean') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'enabled must be true or false'
+                    });
+                }
+                
+                const group = await this.groupPolicy.setEnabled(req.params.id, groupId, enabled, name);
+                
+                res.json({
+                    success: true,
+                    data: { groupId, ...group }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupRulesRoutes() {
+        // Who the bot answers and when; see reply-rules.js for the fields
+        this.app.get('/api/sessions/:id/rules', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.replyRules.getRules(req.params.id)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Partial update: only the given fields change, null resets a field.
+        // { enabled: false } switches the rules off, { autoReply: false } stops all replies
+        this.app.put('/api/sessions/:id/rules', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const validationError = this.replyRules.validateRules(req.body);
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                const rules = await this.replyRules.updateRules(req.params.id, req.body);
+                
+                res.json({
+                    success: true,
+                    data: rules
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.delete('/api/sessions/:id/rules', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const rules = await this.replyRules.resetRules(req.params.id);
+                
+                res.json({
+                    success: true,
+                    data: rules
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupHandoverRoutes() {
+        // Chats where a person took over, and how long a manual reply pauses the bot
+        this.app.get('/api/sessions/:id/handover', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: {
+                        pauseMinutes: this.handover.getPauseMinutes(req.params.id),
+                        chats: this.handover.listPauses(req.params.id)
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { pauseMinutes } after a manual reply; null goes back to HANDOVER_PAUSE_MINUTES
+        this.app.put('/api/sessions/:id/handover', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const { pauseMinutes } = req.body;
+                if (pauseMinutes !== null && !(Number.isInteger(pauseMinutes) && pauseMinutes >= 1 && pauseMinutes <= 10080)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'pauseMinutes must be an integer between 1 and 10080, or null for the default'
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: {
+                        pauseMinutes: await this.handover.setPauseMinutes(req.params.id, pauseMinutes),
+                        chats: this.handover.listPauses(req.params.id)
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/sessions/:id/handover/:chatId', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                const chatId = this.handover.normalizeChatId(req.params.chatId);
+                if (!found || !chatId) {
+                    return res.status(404).json({
+                        success: false,
+                        error: found ? 'Chat not found' : 'Session not found'
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.handover.describe(chatId, this.handover.getPauses(req.params.id)[chatId])
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { paused: true, minutes } pauses the bot in one chat (no minutes: until resumed),
+        // { paused: false } hands it back
+        this.app.put('/api/sessions/:id/handover/:chatId', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const chatId = this.handover.normalizeChatId(req.params.chatId);
+                const validationError = chatId ? this.handover.validateChange(req.body) : 'chatId must be a phone number or chat id';
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: await this.handover.setPaused(req.params.id, chatId, req.body)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupInboxRoutes() {
+        // Chats and history come from the phone, so the session has to be connected
+        const findConnected = async (req, res) => {
+            const found = await this.getAccessibleSession(req.principal, req.params.id);
+            if (!found) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+                return null;
+            }
+            if (!found.session?.isReady) {
+                res.status(409).json({
+                    success: false,
+                    error: 'Session is not connected'
+                });
+                return null;
+            }
+            return found;
+        };
+        
+        const findChat = async (req, res) => {
+            const found = await findConnected(req, res);
+            if (!found) return null;
+            
+            const chat = await this.inbox.getChat(found.session, this.whatsappHandler.formatPhoneNumber(req.params.chatId));
+            if (!chat) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Chat not found'
+                });
+                return null;
+            }
+            return chat;
+        };
+        
+        // ?limit=50&offset=0&unread=true
+        this.app.get('/api/sessions/:id/chats', async (req, res) => {
+            try {
+                const found = await findConnected(req, res);
+                if (!found) return;
+                
+                const { limit, offset, unread } = req.query;
+                
+                res.json({
+                    success: true,
+                    data: await this.inbox.listChats(found.session, { limit, offset, unread: unread === 'true' })
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/sessions/:id/chats/:chatId/messages', async (req, res) => {
+            try {
+                const chat = await findChat(req, res);
+                if (!chat) return;
+                
+                res.json({
+                    success: true,
+                    data: {
+                        chat: this.inbox.describeChat(chat),
+                        messages: await this.inbox.getMessages(chat, { limit: req.query.limit })
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { message, quotedMessageId }; sent as the session through the queue
+        this.app.post('/api/sessions/:id/chats/:chatId/messages', async (req, res) => {
+            try {
+                const found = await this.getAccessibleSession(req.principal, req.params.id);
+                if (!found) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const validationError = this.validateInboxReply(req.body);
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                const chatId = this.whatsappHandler.formatPhoneNumber(req.params.chatId);
+                const job = await this.sendInboxReply(req.params.id, (found.session || found.stored).ownerId, chatId, req.body);
+                
+                await this.respondWithJob(req, res, job);
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.post('/api/sessions/:id/chats/:chatId/seen', async (req, res) => {
+            try {
+                const chat = await findChat(req, res);
+                if (!chat) return;
+                
+                await chat.sendSeen();
+                
+                res.json({
+                    success: true,
+                    data: { chatId: chat.id._serialized, unreadCount: 0 }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupAutoResponseRoutes() {
+        const findSession = async (req, res) => {
+            const found = await this.getAccessibleSession(req.principal, req.params.id);
+            if (!found) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+            return found;
+        };
+        
+        const findRule = async (req, res) => {
+            const found = await findSession(req, res);
+            if (!found) return null;
+            
+            const rule = this.autoResponder.getRule(req.params.ruleId);
+            if (!rule || rule.sessionId !== req.params.id) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Auto-response not found'
+                });
+                return null;
+            }
+            return rule;
+        };
+        
+        // media: { data (base64 or data URL), mimeType, filename, sendAs } or null to remove it
+        const parseRuleFields = body => {
+            if (!body || typeof body !== 'object' || body.media === undefined || body.media === null) {
+                return { fields: body };
+            }
+            
+            const parsed = this.parseMediaUpload(body.media || {});
+            if (parsed.error) {
+                return parsed;
+            }
+            return { fields: { ...body, media: { media: parsed.media, sendAs: parsed.sendAs } } };
+        };
+        
+        this.app.get('/api/sessions/:id/auto-responses', async (req, res) => {
+            try {
+                if (!(await findSession(req, res))) return;
+                
+                res.json({
+                    success: true,
+                    data: this.autoResponder.listRules(req.params.id).map(rule => this.autoResponder.describeRule(rule))
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { match: exact | contains | regex, pattern, replies: { default, hindi, ... }, media, caseSensitive, enabled, position, name }
+        this.app.post('/api/sessions/:id/auto-responses', async (req, res) => {
+            try {
+                const found = await findSession(req, res);
+                if (!found) return;
+                
+                const { fields, error, status } = parseRuleFields(req.body);
+                const validationError = error || this.autoResponder.validateRule(fields);
+                if (validationError) {
+                    return res.status(status || 400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                const rule = await this.autoResponder.create({
+                    ...fields,
+                    ownerId: (found.session || found.stored).ownerId,
+                    sessionId: req.params.id
+                });
+                
+                res.status(201).json({
+                    success: true,
+                    data: this.autoResponder.describeRule(rule)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { ids: [...] } with every rule of the session in the new order
+        this.app.put('/api/sessions/:id/auto-responses/order', async (req, res) => {
+            try {
+                if (!(await findSession(req, res))) return;
+                
+                const reordered = await this.autoResponder.reorder(req.params.id, req.body.ids);
+                if (!reordered) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'ids must list every auto-response of the session exactly once'
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.autoResponder.listRules(req.params.id).map(rule => this.autoResponder.describeRule(rule))
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/sessions/:id/auto-responses/:ruleId', async (req, res) => {
+            try {
+                const rule = await findRule(req, res);
+                if (!rule) return;
+                
+                res.json({
+                    success: true,
+                    data: this.autoResponder.describeRule(rule)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Partial update; media: null removes the attachment
+        this.app.put('/api/sessions/:id/auto-responses/:ruleId', async (req, res) => {
+            try {
+                const rule = await findRule(req, res);
+                if (!rule) return;
+                
+                const { fields, error, status } = parseRuleFields(req.body);
+                const validationError = error || this.autoResponder.validateRule(fields, rule);
+                if (validationError) {
+                    return res.status(status || 400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                await this.autoResponder.update(rule, fields);
+                
+                res.json({
+                    success: true,
+                    data: this.autoResponder.describeRule(rule)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.delete('/api/sessions/:id/auto-responses/:ruleId', async (req, res) => {
+            try {
+                const rule = await findRule(req, res);
+                if (!rule) return;
+                
+                await this.autoResponder.remove(rule);
+                
+                res.json({
+                    success: true,
+                    message: 'Auto-response removed'
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupWebhookRoutes() {
+        const findWebhook = (req, res) => {
+            const webhook = this.webhooks.getWebhook(req.params.id);
+            if (!webhook || !this.auth.canAccess(req.principal, webhook.ownerId)) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+                return null;
+            }
+            return webhook;
+        };
+        
+        this.app.get('/api/webhooks', (req, res) => {
+            const { sessionId } = req.query;
+            const webhooks = this.webhooks.listWebhooks(webhook =>
+                this.auth.canAccess(req.principal, webhook.ownerId) && (!sessionId || webhook.sessionId === sessionId)
+            );
+            
+            res.json({
+                success: true,
+                data: webhooks.map(webhook => this.webhooks.describeWebhook(webhook))
+            });
+        });
+        
+        // { sessionId, url, events, description, enabled }; the response carries the signing secret
+        this.app.post('/api/webhooks', async (req, res) => {
+            try {
+                const { sessionId, url, events, description, enabled } = req.body;
+                
+                const found = sessionId ? await this.getAccessibleSession(req.principal, sessionId) : null;
+                if (!found) {
+                    return res.status(sessionId ? 404 : 400).json({
+                        success: false,
+                        error: sessionId ? 'Session not found' : 'sessionId is required'
+                    });
+                }
+                
+                const validationError = this.webhooks.validateWebhook({ url, events, description, enabled });
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                const webhook = await this.webhooks.create({
+                    ownerId: (found.session || found.stored).ownerId,
+                    sessionId,
+                    url,
+                    events,
+                    description,
+                    enabled
+                });
+                
+                res.status(201).json({
+                    success: true,
+                    data: this.webhooks.describeWebhook(webhook, { withSecret: true })
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/webhooks/:id', (req, res) => {
+            const webhook = findWebhook(req, res);
+            if (!webhook) return;
+            
+            res.json({
+                success: true,
+                data: this.webhooks.describeWebhook(webhook)
+            });
+        });
+        
+        // Partial update of url, events, description and enabled; rotateSecret: true issues a new secret
+        this.app.put('/api/webhooks/:id', async (req, res) => {
+            try {
+                const webhook = findWebhook(req, res);
+                if (!webhook) return;
+                
+                const { url, events, description, enabled, rotateSecret } = req.body;
+                const validationError = this.webhooks.validateWebhook({ url, events, description, enabled }, webhook);
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                await this.webhooks.update(webhook, { url, events, description, enabled, rotateSecret });
+                
+                res.json({
+                    success: true,
+                    data: this.webhooks.describeWebhook(webhook, { withSecret: rotateSecret === true })
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.delete('/api/webhooks/:id', async (req, res) => {
+            try {
+                const webhook = findWebhook(req, res);
+                if (!webhook) return;
+                
+                await this.webhooks.remove(webhook);
+                
+                res.json({
+                    success: true,
+                    message: 'Webhook removed'
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Delivery log, newest first: ?status=pending|delivered|failed&limit=50
+        this.app.get('/api/webhooks/:id/deliveries', async (req, res) => {
+            try {
+                const webhook = findWebhook(req, res);
+                if (!webhook) return;
+                
+                const { status, limit } = req.query;
+                const deliveries = await this.webhooks.listDeliveries({ webhookId: webhook.id, status, limit: Math.min(parseInt(limit) || 50, 500) });
+                
+                res.json({
+                    success: true,
+                    data: deliveries.map(delivery => this.webhooks.describeDelivery(delivery))
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        const findDelivery = async (req, res, webhook) => {
+            const delivery = await this.webhooks.getDelivery(req.params.deliveryId);
+            if (!delivery || delivery.webhookId !== webhook.id) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+                return null;
+            }
+            return delivery;
+        };
+        
+        // One delivery with the payload that was sent and the receiver's response
+        this.app.get('/api/webhooks/:id/deliveries/:deliveryId', async (req, res) => {
+            try {
+                const webhook = findWebhook(req, res);
+                if (!webhook) return;
+                
+                const delivery = await findDelivery(req, res, webhook);
+                if (!delivery) return;
+                
+                res.json({
+                    success: true,
+                    data: this.webhooks.describeDelivery(delivery, { withPayload: true })
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Sends the same payload again as a new delivery
+        this.app.post('/api/webhooks/:id/deliveries/:deliveryId/replay', async (req, res) => {
+            try {
+                const webhook = findWebhook(req, res);
+                if (!webhook) return;
+                
+                const delivery = await findDelivery(req, res, webhook);
+                if (!delivery) return;
+                
+                const replayed = await this.webhooks.replay(webhook, delivery);
+                
+                res.status(201).json({
+                    success: true,
+                    data: this.webhooks.describeDelivery(replayed)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupTemplateRoutes() {
+        const findSession = async (req, res) => {
+            const found = await this.getAccessibleSession(req.principal, req.params.id);
+            if (!found) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+            return found;
+        };
+        
+        const findTemplate = async (req, res) => {
+            if (!(await findSession(req, res))) return null;
+            
+            const template = this.templates.getTemplate(req.params.id, req.params.name, req.query.version);
+            if (!template) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+                return null;
+            }
+            return template;
+        };
+        
+        // Latest version of every template
+        this.app.get('/api/sessions/:id/templates', async (req, res) => {
+            try {
+                if (!(await findSession(req, res))) return;
+                
+                res.json({
+                    success: true,
+                    data: this.templates.listTemplates(req.params.id).map(template => this.templates.describeTemplate(template))
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { name, description, variants: { default: "Your OTP is {{otp}}", hindi: "..." } }
+        this.app.post('/api/sessions/:id/templates', async (req, res) => {
+            try {
+                const found = await findSession(req, res);
+                if (!found) return;
+                
+                const validationError = this.templates.validateTemplate(req.body, { creating: true });
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                if (this.templates.getTemplate(req.params.id, req.body.name)) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Template ${req.body.name} already exists; update it to add a version`
+                    });
+                }
+                
+                const template = await this.templates.create({
+                    ownerId: (found.session || found.stored).ownerId,
+                    sessionId: req.params.id,
+                    name: req.body.name,
+                    description: req.body.description,
+                    variants: req.body.variants
+                });
+                
+                res.status(201).json({
+                    success: true,
+                    data: this.templates.describeTemplate(template)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // ?version=2 for an older version
+        this.app.get('/api/sessions/:id/templates/:name', async (req, res) => {
+            try {
+                const template = await findTemplate(req, res);
+                if (!template) return;
+                
+                res.json({
+                    success: true,
+                    data: this.templates.describeTemplate(template)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/sessions/:id/templates/:name/versions', async (req, res) => {
+            try {
+                if (!(await findTemplate(req, res))) return;
+                
+                res.json({
+                    success: true,
+                    data: this.templates.getVersions(req.params.id, req.params.name).map(template => this.templates.describeTemplate(template))
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { variants, description } become the next version
+        this.app.put('/api/sessions/:id/templates/:name', async (req, res) => {
+            try {
+                const latest = await findTemplate(req, res);
+                if (!latest) return;
+                
+                const validationError = this.templates.validateTemplate(req.body);
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validationError
+                    });
+                }
+                
+                const template = await this.templates.update(latest, req.body);
+                
+                res.json({
+                    success: true,
+                    data: this.templates.describeTemplate(template)
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.delete('/api/sessions/:id/templates/:name', async (req, res) => {
+            try {
+                if (!(await findTemplate(req, res))) return;
+                
+                await this.templates.remove(req.params.id, req.params.name);
+                
+                res.json({
+                    success: true,
+                    message: 'Template removed'
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // { template, version, to, params, language, idempotencyKey }; the key can also come
+        // as an Idempotency-Key header. Without a language the contact's usual one is used.
+        this.app.post('/api/sessions/:id/notify', async (req, res) => {
+            const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+            let reserved = false;
+            
+            try {
+                const found = await findSession(req, res);
+                if (!found) return;
+                
+                const { template: name, version, to, params = {}, language } = req.body;
+                
+                if (typeof name !== 'string' || typeof to !== 'string' || !to.trim()) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'template and to are required'
+                    });
+                }
+                if (!params || typeof params !== 'object' || Array.isArray(params)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'params must be an object'
+                    });
+                }
+                if (language !== undefined && language !== 'default' && !(language in this.aiReply.languagePatterns)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unknown language: ${language}`
+                    });
+                }
+                if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > 255)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'idempotencyKey must be a string of up to 255 characters'
+                    });
+                }
+                
+                const template = this.templates.getTemplate(req.params.id, name, version);
+                if (!template) {
+                    return res.status(404).json({
+                        success: false,
+                        error: version ? `Template ${name} has no version ${version}` : `Template ${name} not found`
+                    });
+                }
+                
+                // A retried request gets the job the first one created
+                if (idempotencyKey) {
+                    const fingerprint = crypto.createHash('sha256')
+                        .update(JSON.stringify({ name, version: version || null, to, params, language: language || null }))
+                        .digest('hex');
+                    const existing = this.idempotency.reserve(req.params.id, idempotencyKey, fingerprint);
+                    
+                    if (existing) {
+                        if (existing.fingerprint !== fingerprint) {
+                            return res.status(409).json({
+                                success: false,
+                                error: 'Idempotency key was already used for a different request'
+                            });
+                        }
+                        if (!existing.jobId) {
+                            return res.status(409).json({
+                                success: false,
+                                error: 'A request with this idempotency key is already being processed'
+                            });
+                        }
+                        
+                        // The queue removes finished jobs after a while, possibly before the key expires
+                        const job = await this.messageQueue.getJob(existing.jobId);
+                        if (!job) {
+                            return res.status(409).json({
+                                success: false,
+                                error: `The job ${existing.jobId} created for this idempotency key no longer exists`
+                            });
+                        }
+                        
+                        res.set('Idempotent-Replayed', 'true');
+                        return await this.respondWithJob(req, res, job);
+                    }
+                    reserved = true;
+                }
+                
+                const chatId = this.whatsappHandler.formatPhoneNumber(to);
+                const preferred = language || await this.aiReply.getPreferredLanguage(req.params.id, chatId.split('@')[0]);
+                const rendered = this.templates.render(template, params, preferred);
+                if (rendered.error) {
+                    if (reserved) this.idempotency.release(req.params.id, idempotencyKey);
+                    return res.status(400).json({
+                        success: false,
+                        error: rendered.error
+                    });
+                }
+                
+                const job = await this.messageQueue.enqueue({
+                    sessionId: req.params.id,
+                    ownerId: (found.session || found.stored).ownerId,
+                    to: chatId,
+                    message: rendered.text,
+                    source: 'notify',
+                    meta: {
+                        template: template.name,
+                        version: template.version,
+                        language: rendered.language,
+                        idempotencyKey: idempotencyKey || null
+                    }
+                });
+                
+                if (reserved) {
+                    await this.idempotency.complete(req.params.id, idempotencyKey, job.id);
+                }
+                console.log(`🧾 Notification ${template.name} v${template.version} (${rendered.language}) queued for ${chatId}`);
+                
+                await this.respondWithJob(req, res, job);
+            } catch (error) {
+                if (reserved) this.idempotency.release(req.params.id, idempotencyKey);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupAnalyticsRoutes() {
+        // Per-day, per-session metrics with totals for the range.
+        // ?from=YYYY-MM-DD&to=YYYY-MM-DD (the last 7 days by default), sessionId, format=csv
+        this.app.get('/api/analytics', async (req, res) => {
+            try {
+                const { sessionId, format } = req.query;
+                const range = this.analytics.parseRange(req.query);
+                if (range.error) {
+                    return res.status(400).json({
+                        success: false,
+                        error: range.error
+                    });
+                }
+                if (format !== undefined && format !== 'csv' && format !== 'json') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'format must be json or csv'
+                    });
+                }
+                if (sessionId && !(await this.getAccessibleSession(req.principal, sessionId))) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const rows = (await this.analytics.query({ ...range, sessionId }))
+                    .filter(row => this.auth.canAccess(req.principal, row.ownerId));
+                
+                if (format === 'csv') {
+                    res.attachment(`analytics-${range.from}-${range.to}.csv`);
+                    return res.type('text/csv').send(this.analytics.toCsv(rows));
+                }
+                
+                res.json({
+                    success: true,
+                    data: {
+                        ...range,
+                        timezone: this.analytics.timezone,
+                        totals: this.analytics.summarize(rows),
+                        days: rows.map(row => this.analytics.describeBucket(row))
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupHistoryRoutes() {
+        const findSession = async (req, res) => {
+            const found = await this.getAccessibleSession(req.principal, req.params.id);
+            if (!found) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+            return found;
+        };
+        
+        // Conversations are keyed by the contact's number without + or spaces
+        const toContact = value => (typeof value === 'string' && value.includes('@') ? value : String(value || '').replace(/\D/g, ''));
+        
+        const parseRange = (req, res) => {
+            const range = this.history.parseRange(req.query);
+            if (range.error) {
+                res.status(400).json({
+                    success: false,
+                    error: range.error
+                });
+                return null;
+            }
+            return range;
+        };
+        
+        // Contacts the bot has talked to, most recent first
+        this.app.get('/api/sessions/:id/conversations', async (req, res) => {
+            try {
+                if (!(await findSession(req, res))) return;
+                
+                const { limit, offset } = req.query;
+                const { total, conversations } = await this.history.listConversations(req.params.id, { limit, offset });
+                
+                res.json({
+                    success: true,
+                    data: {
+                        total,
+                        limit: this.history.getLimit(limit),
+                        offset: this.history.getOffset(offset),
+                        conversations
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // One contact's exchanges, oldest first; ?from, to, timezone, limit, offset
+        this.app.get('/api/sessions/:id/conversations/:contact/messages', async (req, res) => {
+            try {
+                if (!(await findSession(req, res))) return;
+                
+                const range = parseRange(req, res);
+                if (!range) return;
+                
+                const { limit, offset } = req.query;
+                const { total, messages } = await this.history.listMessages(req.params.id, {
+                    contact: toContact(req.params.contact),
+                    from: range.from,
+                    to: range.to,
+                    limit,
+                    offset
+                });
+                
+                res.json({
+                    success: true,
+                    data: {
+                        total,
+                        limit: this.history.getLimit(limit),
+                        offset: this.history.getOffset(offset),
+                        messages
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // ?q=refund order, matching every word in the message or the reply; newest first.
+        // Optional contact, from, to, timezone, limit and offset narrow it down.
+        this.app.get('/api/sessions/:id/messages/search', async (req, res) => {
+            try {
+                if (!(await findSession(req, res))) return;
+                
+                if (this.history.getSearchTerms(req.query.q).length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'q is required'
+                    });
+                }
+                
+                const range = parseRange(req, res);
+                if (!range) return;
+                
+                const { q, contact, limit, offset } = req.query;
+                const { total, messages } = await this.history.listMessages(req.params.id, {
+                    contact: contact ? toContact(contact) : null,
+                    query: q,
+                    from: range.from,
+                    to: range.to,
+                    limit,
+                    offset,
+                    newestFirst: true
+                });
+                
+                res.json({
+                    success: true,
+                    data: {
+                        total,
+                        limit: this.history.getLimit(limit),
+                        offset: this.history.getOffset(offset),
+                        messages
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // A conversation (?contact=) and/or date range (?from, to, timezone) as a download.
+        // format is json, csv or txt (a transcript in the layout of WhatsApp's chat export).
+        this.app.get('/api/sessions/:id/messages/export', async (req, res) => {
+            try {
+                if (!(await findSession(req, res))) return;
+                
+                const format = req.query.format || 'json';
+                if (!['json', 'csv', 'txt'].includes(format)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'format must be json, csv or txt'
+                    });
+                }
+                
+                const range = parseRange(req, res);
+                if (!range) return;
+                
+                const contact = req.query.contact ? toContact(req.query.contact) : null;
+                const { total, messages } = await this.history.listMessages(req.params.id, {
+                    contact,
+                    from: range.from,
+                    to: range.to,
+                    exportAll: true
+                });
+                
+                // Exports stop at a fixed number of messages; narrow the range to get the rest
+                if (total > messages.length) {
+                    res.set('X-Export-Truncated', 'true');
+                }
+                res.attachment(`${contact ? `chat-${contact}` : `history-${req.params.id}`}.${format}`);
+                
+                if (format === 'csv') {
+                    return res.type('text/csv').send(this.history.toCsv(messages));
+                }
+                if (format === 'txt') {
+                    const { botName } = this.aiReply.getSessionConfig(req.params.id);
+                    return res.type('text/plain').send(this.history.toTranscript(messages, { botName, timezone: range.timezone }));
+                }
+                
+                res.json({
+                    success: true,
+                    data: {
+                        sessionId: req.params.id,
+                        contact,
+                        from: range.from ? range.from.toISOString() : null,
+                        to: range.to ? range.to.toISOString() : null,
+                        total,
+                        exportedAt: new Date().toISOString(),
+                        messages
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupKnowledgeRoutes() {
+        const knowledgeBase = this.aiReply.knowledgeBase;
+        
+        this.app.get('/api/knowledge', (req, res) => {
+            const { sessionId } = req.query;
+            const documents = knowledgeBase.listDocuments(document =>
+                this.auth.canAccess(req.principal, document.ownerId) &&
+                (!sessionId || !document.sessionId || document.sessionId === sessionId)
+            );
+            
+            res.json({
+                success: true,
+                data: documents
+            });
+        });
+        
+        // Accepts JSON ({ title, content | faq, filename, format, sessionId }) or a raw
+        // text/markdown body with the same fields in the query string
+        this.app.post('/api/knowledge', express.text({ type: ['text/plain', 'text/markdown'], limit: '5mb' }), async (req, res) => {
+            try {
+                const fields = typeof req.body === 'string' ? { ...req.query, content: req.body } : req.body;
+                let { title, content, filename, format, sessionId, faq } = fields;
+                
+                // FAQ lists become one question/answer paragraph each
+                if (Array.isArray(faq)) {
+                    content = faq
+                        .filter(entry => entry && entry.question && entry.answer)
+                        .map(entry => `Q: ${entry.question}\nA: ${entry.answer}`)
+                        .join('\n\n');
+                    format = format || 'faq';
+                }
+                
+                if (typeof content !== 'string' || !content.trim()) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Document content is required'
+                    });
+                }
+                
+                if (sessionId && !(await this.getAccessibleSession(req.principal, sessionId))) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found'
+                    });
+                }
+                
+                const document = await knowledgeBase.addDocument({
+                    title,
+                    content,
+                    filename,
+                    format,
+                    sessionId,
+                    ownerId: req.principal.id
+                });
+                
+                res.status(201).json({
+                    success: true,
+                    data: document
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/knowledge/search', (req, res) => {
+            const { q, sessionId } = req.query;
+            if (!q) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Query parameter q is required'
+                });
+            }
+            
+            // Searches as the given session would, or as the caller's own sessions
+            const session = sessionId ? this.activeSessions.get(sessionId) : null;
+            const results = knowledgeBase.search(q, {
+                sessionId,
+                ownerId: session ? session.ownerId : req.principal.id
+            }, parseInt(req.query.limit) || undefined)
+                .filter(result => this.auth.canAccess(req.principal, knowledgeBase.getDocument(result.documentId).ownerId));
+            
+            res.json({
+                success: true,
+                data: results
+            });
+        });
+        
+        this.app.get('/api/knowledge/:id', (req, res) => {
+            const document = knowledgeBase.getDocument(req.params.id);
+            if (!document || !this.auth.canAccess(req.principal, document.ownerId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                data: {
+                    ...knowledgeBase.describeDocument(document),
+                    content: document.content
+                }
+            });
+        });
+        
+        this.app.delete('/api/knowledge/:id', async (req, res) => {
+            try {
+                const document = knowledgeBase.getDocument(req.params.id);
+                if (!document || !this.auth.canAccess(req.principal, document.ownerId)) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Document not found'
+                    });
+                }
+                
+                await knowledgeBase.removeDocument(document.id);
+                
+                res.json({
+                    success: true,
+                    message: 'Document removed'
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+    
+    setupSocketIO() {
+        // Reject handshakes without a valid JWT or API key
+        this.io.use(this.auth.socketMiddleware());
+        
+        this.io.on('connection', (socket) => {
+            console.log(`📱 Client connected: ${socket.id}`);
+            
+            socket.emit('connected', {
+                message: 'Connected to WhatsApp Bot Server',
+                timestamp: new Date().toISOString()
+            });
+            
+            // Generate QR Code
+            socket.on('generate_qr', async (...args) => {
+                // Accepts generate_qr(callback) or generate_qr({ provider }, callback)
+                const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+                const options = args[0] || {};
+                
+                try {
+                    if (options.provider && !this.aiReply.isKnownProvider(options.provider)) {
+                        throw new Error(`Unknown AI provider: ${options.provider}`);
+                    }
+                    
+                    const session = await this.createNewSession(socket, {
+                        ownerId: socket.data.principal.id,
+                        aiProvider: options.provider || null
+                    });
+                    
+                    if (callback) callback({ success: true, sessionId: session.id });
+                    
+                } catch (error) {
+                    console.error('❌ QR generation failed:', error);
+                    socket.emit('error', {
+                        message: 'Failed to generate QR code',
+                        error: error.message
+                    });
+                    if (callback) callback({ success: false, error: error.message });
+                }
+            });
+            
+            // Watch an existing session (e.g. after a browser refresh)
+            socket.on('join_session', async (payload, callback) => {
+                const sessionId = typeof payload === 'string' ? payload : payload?.sessionId;
+                
+                try {
+                    const found = await this.getAccessibleSession(socket.data.principal, sessionId);
+                    if (!found) {
+                        if (callback) callback({ success: false, error: 'Session not found' });
+                        return;
+                    }
+                    
+                    socket.join(this.getSessionRoom(sessionId));
+                    console.log(`👀 Socket ${socket.id} joined session ${sessionId}`);
+                    
+                    const state = found.session ? this.getSessionState(found.session) : found.stored;
+                    socket.emit('session_state', state);
+                    
+                    // Replay the last event so the dashboard can render without waiting
+                    if (found.session?.qr) {
+                        socket.emit('qr', found.session.qr, { sessionId });
+                    } else if (found.session?.isReady) {
+                        socket.emit('ready', { sessionId, info: state.info });
+                    }
+                    
+                    if (callback) callback({ success: true, data: state });
+                } catch (error) {
+                    console.error('❌ Join session failed:', error);
+                    if (callback) callback({ success: false, error: error.message });
+                }
+            });
+            
+            // Pause or resume the bot in one chat: { sessionId, chatId, paused, minutes }
+            socket.on('set_handover', async (payload, callback) => {
+                try {
+                    const found = await this.getAccessibleSession(socket.data.principal, payload?.sessionId);
+                    if (!found) {
+                        if (callback) callback({ success: false, error: 'Session not found' });
+                        return;
+                    }
+                    
+                    const chatId = this.handover.normalizeChatId(payload.chatId);
+                    const validationError = chatId ? this.handover.validateChange(payload) : 'chatId must be a phone number or chat id';
+                    if (validationError) {
+                        if (callback) callback({ success: false, error: validationError });
+                        return;
+                    }
+                    
+                    const state = await this.handover.setPaused(payload.sessionId, chatId, payload);
+                    if (callback) callback({ success: true, data: state });
+                } catch (error) {
+                    console.error('❌ Handover change failed:', error);
+                    if (callback) callback({ success: false, error: error.message });
+                }
+            });
+            
+            // Reply from the dashboard: { sessionId, chatId, message, quotedMessageId }
+            socket.on('send_message', async (payload, callback) => {
+                try {
+                    const found = await this.getAccessibleSession(socket.data.principal, payload?.sessionId);
+                    if (!found) {
+                        if (callback) callback({ success: false, error: 'Session not found' });
+                        return;
+                    }
+                    
+                    const validationError = payload.chatId ? this.validateInboxReply(payload) : 'chatId is required';
+                    if (validationError) {
+                        if (callback) callback({ success: false, error: validationError });
+                        return;
+                    }
+                    
+                    const chatId = this.whatsappHandler.formatPhoneNumber(String(payload.chatId));
+                    const job = await this.sendInboxReply(payload.sessionId, (found.session || found.stored).ownerId, chatId, payload);
+                    if (callback) callback({ success: true, data: this.messageQueue.describeJob(job) });
+                } catch (error) {
+                    console.error('❌ Inbox reply failed:', error);
+                    if (callback) callback({ success: false, error: error.message });
+                }
+            });
+            
+            socket.on('leave_session', (payload, callback) => {
+                const sessionId = typeof payload === 'string' ? payload : payload?.sessionId;
+                socket.leave(this.getSessionRoom(sessionId));
+                if (callback) callback({ success: true });
+            });
+            
+            // Get Status
+            socket.on('get_status', async (callback) => {
+                try {
+                    const stats = await this.getSystemStats();
+                    if (callback) callback(stats);
+                } catch (error) {
+                    if (callback) callback({ error: error.message });
+                }
+            });
+            
+            // Handle disconnect
+            socket.on('disconnect', () => {
+                console.log(`📱 Client disconnected: ${socket.id}`);
+            });
+        });
+    }
+    
+    async createWhatsAppSession(sessionId, options = {}) {
+        const session = {
+            id: sessionId,
+            client: null,
+            isReady: false,
+            status: 'connecting',
+            qr: null,
+            restored: options.restored || false,
+            ownerId: options.ownerId || null,
+            aiProvider: options.aiProvider || null,
+            messagesSent: 0,
+            createdAt: new Date().toISOString(),
+            lastActivity: Date.now()
+        };
+        
+        try {
+            // Create WhatsApp client
+            session.client = await this.whatsappHandler.createClient(sessionId);
+            
+            // Register immediately so the API can see sessions that are still waiting for a scan
+            this.activeSessions.set(sessionId, session);
+            
+            // QR Code handler
+            session.client.on('qr', async (qr) => {
+                if (session.restored) {
+                    // Stored auth data was rejected and nobody is waiting to scan
+                    console.log(`⚠️ Stored auth expired for restored session ${sessionId}, dropping it`);
+                    this.activeSessions.delete(sessionId);
+                    await this.whatsappHandler.destroySession(sessionId);
+                    await this.saveSession(sessionId, 'disconnected');
+                    return;
+                }
+                
+                console.log('📷 QR Code generated for session:', sessionId);
+                const qrcode = require('qrcode');
+                const qrImage = await qrcode.toDataURL(qr);
+                session.qr = qrImage;
+                session.status = 'qr';
+                this.emitToSession(session, 'qr', qrImage, { sessionId });
+            });
+            
+            // Ready handler
+            session.client.on('ready', async () => {
+                console.log('✅ WhatsApp ready for session:', sessionId);
+                session.isReady = true;
+                session.status = 'ready';
+                session.qr = null;
+                this.emitToSession(session, 'ready', {
+                    sessionId,
+                    info: this.getClientInfo(session)
+                });
+                this.emitWebhook(sessionId, 'session.ready', { info: this.getClientInfo(session) });
+                
+                // Save session to database
+                await this.saveSession(sessionId, 'connected');
+            });
+            
+            // Message handler
+            session.client.on('message_create', async (message) => {
+                // Dashboards see every message, whether or not the bot answers it
+                this.io.to(this.getSessionRoom(sessionId)).emit('inbox_message', {
+                    sessionId,
+                    ...this.inbox.describeMessage(message)
+                });
+                
+                if (!message.fromMe) {
+                    this.emitWebhook(sessionId, 'message.received', this.inbox.describeMessage(message));
+                }
+                
+                // Our own messages: the owner typing from the phone takes the chat over
+                if (message.fromMe) {
+                    this.handover.handleOutgoing(message, session).catch(error => {
+                        console.error('❌ Handover check failed:', error);
+                    });
+                    return;
+                }
+                
+                try {
+                    await this.handleIncomingMessage(message, session);
+                } catch (error) {
+                    console.error('❌ Message handling error:', error);
+                }
+            });
+            
+            // Delivery receipts for the inbox and for campaign messages
+            session.client.on('message_ack', (message, ack) => {
+                if (!message.fromMe) return;
+                
+                this.io.to(this.getSessionRoom(sessionId)).emit('inbox_ack', {
+                    sessionId,
+                    messageId: message.id._serialized,
+                    chatId: message.to,
+                    ack
+                });
+                this.emitWebhook(sessionId, 'message.ack', {
+                    messageId: message.id._serialized,
+                    chatId: message.to,
+                    ack
+                });
+                
+                this.campaigns.handleAck(message.id._serialized, ack).catch(error => {
+                    console.error('❌ Campaign receipt failed:', error);
+                });
+            });
+            
+            // Disconnection handler
             session.client.on('disconnected', (reason) => {
                 console.log(`📱 WhatsApp disconnected for session ${sessionId}:`, reason);
                 session.isReady = false;
-                socket.emit('disconnected', { reason });
+                session.status = 'disconnected';
+                this.emitToSession(session, 'disconnected', { sessionId, reason });
+                this.emitWebhook(sessionId, 'session.disconnected', { reason });
                 this.activeSessions.delete(sessionId);
+                this.saveSession(sessionId, 'disconnected');
             });
             
             // Authentication handlers
             session.client.on('authenticated', () => {
                 console.log('🔐 WhatsApp authenticated for session:', sessionId);
-                socket.emit('authenticated');
+                session.status = 'authenticated';
+                session.qr = null;
+                this.emitToSession(session, 'authenticated', { sessionId });
             });
             
             session.client.on('auth_failure', (message) => {
                 console.log('❌ WhatsApp auth failure for session:', sessionId, message);
-                socket.emit('auth_failure', { message });
+                session.status = 'auth_failure';
+                this.emitToSession(session, 'auth_failure', { sessionId, message });
+                this.emitWebhook(sessionId, 'auth_failure', { message });
                 this.activeSessions.delete(sessionId);
+                this.saveSession(sessionId, 'disconnected');
             });
             
             // Initialize client
@@ -365,33 +3253,378 @@ class WhatsAppBotServer {
             
         } catch (error) {
             console.error('❌ Session creation failed:', error);
+            
+            // Free the client slot so a failed launch does not count against MAX_SESSIONS
+            if (this.activeSessions.get(sessionId) === session) {
+                this.activeSessions.delete(sessionId);
+            }
+            if (session.client) {
+                await this.whatsappHandler.destroySession(sessionId, { keepAuth: true });
+            }
             throw error;
         }
     }
     
+    async createNewSession(socket = null, options = {}) {
+        const sessionId = uuidv4();
+        console.log(`🔄 Generating QR for session: ${sessionId}`);
+        
+        await this.saveSession(sessionId, 'connecting', options);
+        
+        // Join before the client starts so the first QR is not missed
+        if (socket) {
+            socket.join(this.getSessionRoom(sessionId));
+        }
+        
+        return await this.createWhatsAppSession(sessionId, options);
+    }
+    
+    async getAccessibleSession(principal, sessionId) {
+        const session = this.activeSessions.get(sessionId);
+        if (session) {
+            return this.auth.canAccess(principal, session.ownerId) ? { session, stored: null } : null;
+        }
+        
+        const stored = await this.getStoredSession(sessionId);
+        if (stored && this.auth.canAccess(principal, stored.ownerId)) {
+            return { session: null, stored };
+        }
+        
+        // Unknown and foreign sessions look the same to the caller
+        return null;
+    }
+    
+    async restartWhatsAppSession(sessionId, stored = null) {
+        const previous = this.activeSessions.get(sessionId);
+        this.activeSessions.delete(sessionId);
+        
+        // Keep the LocalAuth data so the phone does not need to scan again
+        await this.whatsappHandler.destroySession(sessionId, { keepAuth: true });
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        
+        const session = await this.createWhatsAppSession(sessionId, {
+            ownerId: previous ? previous.ownerId : stored?.ownerId,
+            aiProvider: previous ? previous.aiProvider : stored?.aiProvider
+        });
+        if (previous) {
+            session.messagesSent = previous.messagesSent;
+            session.createdAt = previous.createdAt;
+        }
+        
+        return session;
+    }
+    
+    async removeWhatsAppSession(sessionId) {
+        this.activeSessions.delete(sessionId);
+        
+        if (this.whatsappHandler.clients.has(sessionId)) {
+            await this.whatsappHandler.logoutSession(sessionId);
+        } else {
+            await this.whatsappHandler.cleanupSession(sessionId);
+        }
+        
+        await this.saveSession(sessionId, 'disconnected');
+    }
+    
+    waitForQR(session, timeout) {
+        return new Promise(resolve => {
+            const startedAt = Date.now();
+            const check = () => {
+                if (session.qr || session.isReady || Date.now() - startedAt >= timeout ||
+                    this.activeSessions.get(session.id) !== session) {
+                    return resolve(session);
+                }
+                setTimeout(check, 500);
+            };
+            check();
+        });
+    }
+    
+    describeSession(session) {
+        return {
+            sessionId: session.id,
+            status: session.status,
+            isReady: session.isReady,
+            ownerId: session.ownerId,
+            aiProvider: session.aiProvider || this.aiReply.providerName,
+            phoneNumber: session.client?.info?.wid?.user || null,
+            messagesSent: session.messagesSent,
+            createdAt: session.createdAt,
+            lastActivity: new Date(session.lastActivity).toISOString()
+        };
+    }
+    
+    getSessionState(session) {
+        return {
+            ...this.describeSession(session),
+            qr: session.qr,
+            info: this.getClientInfo(session)
+        };
+    }
+    
+    getClientInfo(session) {
+        const info = session.client?.info;
+        if (!info) return null;
+        
+        return {
+            phoneNumber: info.wid?.user,
+            pushname: info.pushname,
+            platform: info.platform
+        };
+    }
+    
+    async getStoredSession(sessionId) {
+        try {
+            const stored = await this.sessionStore.get(sessionId);
+            return stored ? this.formatStoredSession(stored) : null;
+        } catch (error) {
+            console.error('❌ Failed to load session:', error);
+            return null;
+        }
+    }
+    
+    async getStoredSessions() {
+        try {
+            const sessions = await this.sessionStore.list();
+            return sessions.map(stored => this.formatStoredSession(stored));
+        } catch (error) {
+            console.error('❌ Failed to load sessions:', error);
+            return [];
+        }
+    }
+    
+    formatStoredSession(stored) {
+        return {
+            sessionId: stored.id,
+            status: stored.status,
+            isReady: false,
+            ownerId: stored.ownerId,
+            aiProvider: stored.aiProvider,
+            phoneNumber: stored.phoneNumber,
+            messagesSent: stored.messagesSent,
+            createdAt: stored.createdAt,
+            lastActivity: stored.lastActive
+        };
+    }
+    
+    getSessionRoom(sessionId) {
+        return `session:${sessionId}`;
+    }
+    
+    emitToSession(session, event, ...args) {
+        // Every dashboard that joined the session gets the event
+        this.io.to(this.getSessionRoom(session.id)).emit(event, ...args);
+    }
+    
+    // Deliveries are queued in the background so WhatsApp handlers never wait on them
+    emitWebhook(sessionId, event, data) {
+        this.webhooks.dispatch(sessionId, event, data).catch(error => {
+            console.error(`❌ Webhook dispatch for ${event} failed:`, error);
+        });
+    }
+    
+    async restoreSessions() {
+        const storedSessions = await this.getSessionsToRestore();
+        if (storedSessions.length === 0) return;
+        
+        console.log(`♻️ Restoring ${storedSessions.length} WhatsApp session(s)...`);
+        
+        for (const { id: sessionId, ownerId, aiProvider } of storedSessions) {
+            if (this.activeSessions.has(sessionId)) continue;
+            
+            if (this.whatsappHandler.clients.size >= this.whatsappHandler.maxSessions) {
+                console.log(`⚠️ Maximum sessions reached, skipping restore of remaining sessions`);
+                break;
+            }
+            
+            const hasAuthData = await this.whatsappHandler.hasSessionData(sessionId);
+            if (!hasAuthData) {
+                console.log(`⚠️ No auth data for session ${sessionId}, marking as disconnected`);
+                await this.saveSession(sessionId, 'disconnected');
+                continue;
+            }
+            
+            try {
+                await this.createWhatsAppSession(sessionId, { restored: true, ownerId, aiProvider });
+                console.log(`♻️ Session restored: ${sessionId}`);
+            } catch (error) {
+                console.error(`❌ Failed to restore session ${sessionId}:`, error.message);
+                await this.saveSession(sessionId, 'disconnected');
+            }
+        }
+    }
+    
+    async getSessionsToRestore() {
+        try {
+            const connected = await this.sessionStore.list({ status: 'connected' });
+            const sessions = connected.map(stored => ({ id: stored.id, ownerId: stored.ownerId, aiProvider: stored.aiProvider }));
+            
+            // Phones linked with file storage before sessions were recorded there only have LocalAuth data
+            if (this.storageBackend === 'file') {
+                const known = new Set((await this.sessionStore.list()).map(stored => stored.id));
+                const sessionIds = await this.whatsappHandler.listStoredSessionIds();
+                sessionIds
+                    .filter(id => !known.has(id))
+                    .forEach(id => sessions.push({ id, ownerId: null, aiProvider: null }));
+            }
+            
+            return sessions;
+        } catch (error) {
+            console.error('❌ Failed to load sessions to restore:', error);
+            return [];
+        }
+    }
+    
     async handleIncomingMessage(message, session) {
         try {
             const contact = await message.getContact();
             const fromNumber = contact.number;
-            const messageText = message.body;
+            let messageText = message.body;
+            const kind = this.mediaProcessor.classify(message);
+            
+            // Deleted messages, notifications and other empty events need no answer
+            if (kind === 'ignored') return;
+            
+            // Group chats: only enabled groups, and only messages addressed to the bot
+            let group = null;
+            if (this.groupPolicy.isGroup(message.from)) {
+                const isCommand = kind === 'text' && this.commands.isCommand(messageText);
+                const enabled = this.groupPolicy.isEnabled(session.id, message.from);
+                
+                // Owners can still switch a disabled group back on with /group on
+                if (!enabled && !(isCommand && this.isSessionOwner(session, fromNumber))) return;
+                if (enabled && !isCommand && !(await this.groupPolicy.isAddressed(message, session))) return;
+                
+                const chat = await message.getChat();
+                group = { id: message.from, name: chat.name };
+                messageText = this.groupPolicy.stripMention(messageText, session) || messageText;
+            }
+            
+            // A group shares one conversation history; otherwise it belongs to the contact
+            const conversationId = group ? group.id : fromNumber;
+            const senderName = contact.pushname || contact.name || fromNumber;
+            
+            console.log(`📥 Message from ${fromNumber}${group ? ` in ${group.name}` : ''}: ${kind === 'text' ? messageText : `[${message.type}] ${messageText}`}`);
+            this.analytics.recordInbound(session, {
+                messageId: message.id._serialized,
+                contact: fromNumber,
+                language: kind === 'text' ? this.aiReply.detectLanguage(messageText) : null
+            });
             
-            console.log(`📥 Message from ${fromNumber}: ${messageText}`);
+            // Human takeover, allowlists, blocklists and business hours; owners are never filtered out
+            if (!this.isSessionOwner(session, fromNumber)) {
+                // A person is handling this chat
+                if (this.handover.isPaused(session.id, message.from)) {
+                    console.log(`🙋 Not replying to ${fromNumber}: chat taken over by a person`);
+                    return;
+                }
+                
+                const decision = this.replyRules.evaluate(session.id, {
+                    fromNumber,
+                    chatId: message.from,
+                    isMyContact: Boolean(contact.isMyContact)
+                });
+                
+                if (decision.action === 'away') {
+                    console.log(`🌙 Away message for ${fromNumber}: ${decision.reason}`);
+                    await this.queueReply(message, session, fromNumber, messageText, decision.message, { away: true });
+                    return;
+                }
+                if (decision.action === 'ignore') {
+                    console.log(`🔕 Not replying to ${fromNumber}: ${decision.reason}`);
+                    return;
+                }
+            }
             
-            // Rate limiting per user
+            // Rate limiting per user, before commands and auto-responses so neither can be used to flood
+            // the chat
             const rateLimitKey = `rate_${fromNumber}`;
             const now = Date.now();
             const rateLimit = this.rateLimits?.get(rateLimitKey);
             
             if (rateLimit && (now - rateLimit.lastMessage) < 30000) { // 30 seconds
                 console.log(`⏱️ Rate limited: ${fromNumber}`);
+                this.analytics.recordRateLimited(session);
                 return;
             }
             
             this.rateLimits = this.rateLimits || new Map();
             this.rateLimits.set(rateLimitKey, { lastMessage: now });
             
+            // Chat commands are answered directly, without the AI
+            if (kind === 'text' && this.commands.isCommand(messageText)) {
+                const commandReply = await this.commands.handle(messageText, {
+                    session,
+                    fromNumber,
+                    conversationId,
+                    group,
+                    language: await this.aiReply.getPreferredLanguage(session.id, conversationId),
+                    permission: this.isSessionOwner(session, fromNumber) ? 'owner' : 'everyone'
+                });
+                
+                if (commandReply) {
+                    await this.queueReply(message, session, fromNumber, messageText, commandReply, { command: true });
+                }
+                return;
+            }
+            
+            // Fixed answers from the session's rule table, without asking the AI
+            if (kind === 'text') {
+                const language = this.aiReply.detectLanguage(messageText);
+                const autoResponse = this.autoResponder.find(session.id, messageText, {
+                    language,
+                    variables: { name: senderName, phone: fromNumber }
+                });
+                
+                if (autoResponse) {
+                    await this.queueAutoResponse(message, session, fromNumber, messageText, autoResponse);
+                    
+                    // Kept in the conversation so the AI knows what was already answered
+                    const speaker = group ? `${senderName}: ` : '';
+                    await this.aiReply.updateConversationHistory(session.id, conversationId, speaker + messageText,
+                        autoResponse.text || `[${autoResponse.sendAs}]`, language);
+                    return;
+                }
+            }
+            
+            // Photos, documents and voice notes become text plus attachments for the AI
+            const replyContext = {
+                sessionId: session.id,
+                ownerId: session.ownerId,
+                provider: session.aiProvider,
+                conversationId,
+                group,
+                senderName
+            };
+            
+            let promptText = messageText;
+            
+            if (kind !== 'text') {
+                const language = await this.aiReply.getPreferredLanguage(session.id, conversationId);
+                const media = await this.mediaProcessor.process(message, kind, language);
+                
+                if (media.reply) {
+                    await this.queueReply(message, session, fromNumber, `[${message.type}]`, media.reply, { media: kind });
+                    return;
+                }
+                
+                promptText = media.text;
+                messageText = media.label;
+                Object.assign(replyContext, {
+                    attachments: media.attachments,
+                    historyText: media.label,
+                    language: media.hasText ? undefined : language
+                });
+            }
+            
             // Generate AI reply
-            const aiReply = await this.aiReply.generateReply(messageText, fromNumber);
+            const aiReply = await this.aiReply.generateReply(promptText, fromNumber, replyContext);
+            
+            if (replyContext.outcome === 'rate_limited') {
+                this.analytics.recordRateLimited(session);
+            } else if (replyContext.outcome === 'ai_error') {
+                this.analytics.recordAIError(session);
+            }
             
             if (aiReply) {
                 // Simulate typing
@@ -399,26 +3632,8 @@ class WhatsAppBotServer {
                 
                 // Random delay for human-like behavior
                 const delay = Math.random() * (3000 - 1000) + 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
-                
-                // Send reply
-                await message.reply(aiReply);
-                
-                session.messagesSent++;
-                session.lastActivity = Date.now();
-                
-                // Emit to frontend
-                session.socket.emit('message_sent', {
-                    from: fromNumber,
-                    originalMessage: messageText,
-                    reply: aiReply,
-                    timestamp: new Date().toISOString()
-                });
-                
-                // Save to database
-                await this.saveMessage(session.id, fromNumber, messageText, aiReply);
-                
-                console.log(`📤 Reply sent to ${fromNumber}: ${aiReply}`);
+                const details = replyContext.outcome === 'ai_error' ? { fallback: true } : {};
+                await this.queueReply(message, session, fromNumber, messageText, aiReply, details, delay);
             }
             
         } catch (error) {
@@ -426,41 +3641,197 @@ class WhatsAppBotServer {
             
             // Send fallback reply
             try {
-                const fallbackReply = process.env.FALLBACK_REPLY || 'Sorry, I encountered an issue. Please try again.';
-                await message.reply(fallbackReply);
+                const fallbackReply = this.aiReply.getSessionConfig(session.id).fallbackReply ||
+                    process.env.FALLBACK_REPLY || 'Sorry, I encountered an issue. Please try again.';
+                await this.queueReply(message, session, message.from, message.body, fallbackReply, { fallback: true });
             } catch (fallbackError) {
                 console.error('❌ Fallback reply failed:', fallbackError);
             }
         }
     }
     
-    async saveSession(sessionId, status) {
-        if (!this.dbPool) return;
+    // Returns an error message for an invalid dashboard reply, or null
+    validateInboxReply({ message, quotedMessageId } = {}) {
+        if (typeof message !== 'string' || message.trim() === '') {
+            return 'message is required';
+        }
+        if (message.length > 4096) {
+            return 'message must be at most 4096 characters';
+        }
+        if (quotedMessageId !== undefined && typeof quotedMessageId !== 'string') {
+            return 'quotedMessageId must be a message id';
+        }
+        return null;
+    }
+    
+    // A person answering from the dashboard takes the chat over, like a reply typed on the phone
+    async sendInboxReply(sessionId, ownerId, chatId, { message, quotedMessageId }) {
+        const job = await this.messageQueue.enqueue({
+            sessionId,
+            ownerId,
+            to: chatId,
+            message,
+            options: quotedMessageId ? { quotedMessageId } : {},
+            source: 'inbox'
+        });
+        
+        if (!this.handover.isPaused(sessionId, chatId)) {
+            await this.handover.pause(sessionId, chatId, this.handover.getPauseMinutes(sessionId), 'inbox_reply');
+        }
+        return job;
+    }
+    
+    // Replies quote the incoming message; message_sent is emitted once the queue delivers them
+    async queueReply(message, session, fromNumber, originalMessage, reply, details = {}, delayMs = 0) {
+        return this.messageQueue.enqueue({
+            sessionId: session.id,
+            ownerId: session.ownerId,
+            to: message.from,
+            message: reply,
+            options: { quotedMessageId: message.id._serialized },
+            delayMs,
+            source: details.command ? 'command' : 'reply',
+            meta: {
+                reply: true,
+                from: fromNumber,
+                originalMessage,
+                details
+            }
+        });
+    }
+    
+    // Rule replies with an attachment go out as one media message with the text as caption
+    async queueAutoResponse(message, session, fromNumber, originalMessage, autoResponse) {
+        const { rule, text, media, sendAs } = autoResponse;
+        console.log(`💬 Auto-response ${rule.name || rule.id} matched for ${fromNumber}`);
+        
+        await this.autoResponder.recordHit(rule);
+        
+        if (!media) {
+            return this.queueReply(message, session, fromNumber, originalMessage, text, { autoResponse: rule.id });
+        }
+        
+        return this.messageQueue.enqueue({
+            sessionId: session.id,
+            ownerId: session.ownerId,
+            to: message.from,
+            type: 'media',
+            media,
+            caption: text,
+            options: { ...this.getMediaOptions(sendAs), quotedMessageId: message.id._serialized },
+            source: 'reply',
+            meta: {
+                reply: true,
+                from: fromNumber,
+                originalMessage,
+                sendAs,
+                details: { autoResponse: rule.id }
+            }
+        });
+    }
+    
+    async sendQueuedJob(job) {
+        if (job.type === 'media') {
+            const { media, caption, options } = job.payload;
+            return this.whatsappHandler.sendMedia(job.sessionId, job.to, media, caption, options);
+        }
+        
+        return this.whatsappHandler.sendMessage(job.sessionId, job.to, job.payload.message, job.payload.options);
+    }
+    
+    setupMessageQueue() {
+        // Dashboards following the session see every job change
+        this.messageQueue.on('updated', job => {
+            this.io.to(this.getSessionRoom(job.sessionId)).emit('queue_job', this.messageQueue.describeJob(job));
+        });
+        
+        this.messageQueue.on('sent', job => {
+            this.handover.trackBotMessage(job.messageId);
+            
+            const session = this.activeSessions.get(job.sessionId);
+            if (session) {
+                session.messagesSent++;
+                session.lastActivity = Date.now();
+            }
+            
+            if (!job.meta.reply) return;
+            
+            this.analytics.recordReply({ id: job.sessionId, ownerId: job.ownerId }, {
+                replyTo: job.payload.options?.quotedMessageId,
+                fallback: Boolean(job.meta.details?.fallback)
+            });
+            
+            const reply = job.type === 'media' ? (job.payload.caption || `[${job.meta.sendAs}]`) : job.payload.message;
+            
+            this.io.to(this.getSessionRoom(job.sessionId)).emit('message_sent', {
+                sessionId: job.sessionId,
+                from: job.meta.from,
+                originalMessage: job.meta.originalMessage,
+                reply,
+                ...job.meta.details,
+                timestamp: job.sentAt
+            });
+            
+            this.emitWebhook(job.sessionId, 'reply.sent', {
+                jobId: job.id,
+                messageId: job.messageId,
+                to: job.to,
+                from: job.meta.from,
+                originalMessage: job.meta.originalMessage,
+                reply,
+                source: job.source,
+                ...job.meta.details
+            });
+            
+            this.saveMessage(job.sessionId, job.meta.from, job.meta.originalMessage, reply);
+            console.log(`📤 Reply sent to ${job.meta.from}: ${reply}`);
+        });
+    }
+    
+    setupHandover() {
+        this.handover.on('updated', (sessionId, chatId, state) => {
+            this.io.to(this.getSessionRoom(sessionId)).emit('handover_updated', { sessionId, ...state });
+        });
+    }
+    
+    // Campaign progress goes to dashboards following the campaign's session
+    setupCampaigns() {
+        this.campaigns.on('updated', campaign => {
+            this.io.to(this.getSessionRoom(campaign.sessionId)).emit('campaign_updated', this.campaigns.describeCampaign(campaign));
+        });
         
+        this.campaigns.on('recipient', (campaign, recipient) => {
+            this.io.to(this.getSessionRoom(campaign.sessionId)).emit('campaign_recipient', {
+                campaignId: campaign.id,
+                ...this.campaigns.describeRecipient(recipient),
+                counts: this.campaigns.getCounts(campaign)
+            });
+        });
+    }
+    
+    async saveSession(sessionId, status, details = {}) {
         try {
-            await this.dbPool.execute(
-                'INSERT INTO whatsapp_sessions (id, status) VALUES (?, ?) ON DUPLICATE KEY UPDATE status = ?, last_active = NOW()',
-                [sessionId, status, status]
-            );
+            await this.sessionStore.save(sessionId, status, details);
         } catch (error) {
             console.error('❌ Failed to save session:', error);
         }
     }
     
     async saveMessage(sessionId, fromNumber, messageText, aiReply) {
-        if (!this.dbPool) return;
-        
         try {
-            await this.dbPool.execute(
-                'INSERT INTO whatsapp_messages (session_id, from_number, message_text, ai_reply) VALUES (?, ?, ?, ?)',
-                [sessionId, fromNumber, messageText, aiReply]
-            );
+            // Media labels like "[image: menu.pdf]" are not part of what the contact wrote
+            const text = (messageText || '').replace(/^\[[^\]]*\]\s*/, '');
+            
+            await this.history.save({
+                sessionId,
+                contact: fromNumber,
+                messageText,
+                reply: aiReply,
+                language: text ? this.aiReply.detectLanguage(text) : null
+            });
             
             // Update session message count
-            await this.dbPool.execute(
-                'UPDATE whatsapp_sessions SET messages_sent = messages_sent + 1 WHERE id = ?',
-                [sessionId]
-            );
+            await this.sessionStore.incrementMessagesSent(sessionId);
             
         } catch (error) {
             console.error('❌ Failed to save message:', error);
@@ -470,6 +3841,7 @@ class WhatsAppBotServer {
     async getSystemStats() {
         const stats = {
             activeSessions: this.activeSessions.size,
+            queue: this.messageQueue.getStats(),
             totalMessagesSent: 0,
             uptime: Math.floor(process.uptime()),
             memory: process.memoryUsage(),
@@ -481,32 +3853,187 @@ class WhatsAppBotServer {
             stats.totalMessagesSent += session.messagesSent;
         }
         
-        // Get database stats if available
-        if (this.dbPool) {
-            try {
-                const [rows] = await this.dbPool.execute(
-                    'SELECT SUM(messages_sent) as total FROM whatsapp_sessions'
-                );
-                if (rows[0] && rows[0].total) {
-                    stats.totalMessagesSent = parseInt(rows[0].total);
-                }
-            } catch (error) {
-                console.error('❌ Failed to get DB stats:', error);
+        // Stored counts include sessions that are not running
+        try {
+            const total = await this.sessionStore.getTotalMessagesSent();
+            if (total) {
+                stats.totalMessagesSent = total;
             }
+        } catch (error) {
+            console.error('❌ Failed to get stored stats:', error);
         }
         
         return stats;
     }
     
+    setupCommands() {
+        const text = (language, variants) => variants[language] || variants.english;
+        
+        this.commands.register({
+            name: 'help',
+            aliases: ['madad', 'मदद'],
+            args: [{ name: 'command', type: 'string' }],
+            description: {
+                english: 'Show this help',
+                hinglish: 'Ye help dikhao',
+                hindi: 'यह सहायता दिखाएं'
+            },
+            handler: (args, context) => {
+                const { botName } = this.aiReply.getSessionConfig(context.session.id);
+                const help = context.router.getHelp(context.language, context.permission, args.command);
+                return args.command ? help : `🤖 ${botName}\n\n${help}\n\n💬 ${text(context.language, {
+                    english: 'Or just chat normally, I understand multiple languages! 😊',
+                    hinglish: 'Ya bas normally chat karo, main samajh jaunga! 😊',
+                    hindi: 'या बस सामान्य रूप से चैट करें, मैं समझ जाऊंगा! 😊'
+                })}`;
+            }
+        });
+        
+        this.commands.register({
+            name: 'clear',
+            description: {
+                english: 'Clear our chat history',
+                hinglish: 'Chat history saaf karo',
+                hindi: 'चैट इतिहास साफ़ करें'
+            },
+            handler: async (args, context) => {
+                await this.aiReply.memory.clear(context.session.id, context.conversationId);
+                return text(context.language, {
+                    english: 'Conversation history cleared! 🧹',
+                    hinglish: 'Chat history saaf ho gayi! 🧹',
+                    hindi: 'बातचीत का इतिहास साफ़ हो गया! 🧹'
+                });
+            }
+        });
+        
+        this.commands.register({
+            name: 'status',
+            permission: 'owner',
+            description: {
+                english: 'Bot status for this number',
+                hinglish: 'Is number ka bot status',
+                hindi: 'इस नंबर की बॉट स्थिति'
+            },
+            handler: (args, context) => {
+                const { session } = context;
+                const stats = this.aiReply.getStats();
+                const uptime = Math.floor((Date.now() - new Date(session.createdAt).getTime()) / 60000);
+                return `Bot Status:\n✅ ${session.status}\n💬 ${stats.activeConversations} conversations\n📤 ${session.messagesSent} messages sent\n⏱️ ${uptime} min online`;
+            }
+        });
+        
+        this.commands.register({
+            name: 'group',
+            permission: 'owner',
+            args: [{ name: 'state', type: 'string', required: true }],
+            description: {
+                english: 'Turn replies in this group on or off',
+                hinglish: 'Is group mein replies on ya off karo',
+                hindi: 'इस ग्रुप में जवाब चालू या बंद करें'
+            },
+            handler: async (args, context) => {
+                if (!context.group) {
+                    return text(context.language, {
+                        english: 'Send this inside the group you want to change.',
+                        hinglish: 'Ye command us group mein bhejo jise change karna hai.',
+                        hindi: 'यह कमांड उसी ग्रुप में भेजें जिसे बदलना है।'
+                    });
+                }
+                
+                const state = args.state.toLowerCase();
+                if (!['on', 'off'].includes(state)) {
+                    return `${context.router.getMessages(context.language).usage}: /group on|off`;
+                }
+                
+                await this.groupPolicy.setEnabled(context.session.id, context.group.id, state === 'on', context.group.name);
+                return state === 'on'
+                    ? text(context.language, {
+                        english: '👥 I will answer here when someone mentions me or replies to me.',
+                        hinglish: '👥 Mujhe mention karo ya mere message pe reply karo, main jawab dunga.',
+                        hindi: '👥 मुझे मेंशन करें या मेरे संदेश का जवाब दें, मैं जवाब दूंगा।'
+                    })
+                    : text(context.language, {
+                        english: '🔇 I will stay quiet in this group.',
+                        hinglish: '🔇 Main is group mein chup rahunga.',
+                        hindi: '🔇 मैं इस ग्रुप में चुप रहूंगा।'
+                    });
+            }
+        });
+        
+        this.commands.register({
+            name: 'broadcast',
+            permission: 'owner',
+            args: [
+                { name: 'numbers', type: 'list', required: true },
+                { name: 'message', type: 'text', required: true }
+            ],
+            description: {
+                english: 'Send a message to comma separated numbers',
+                hinglish: 'Comma se alag numbers ko message bhejo',
+                hindi: 'कॉमा से अलग नंबरों को संदेश भेजें'
+            },
+            handler: async (args, context) => {
+                const { session } = context;
+                
+                // The queue paces these so the number is not flagged for spam
+                for (const number of args.numbers) {
+                    await this.messageQueue.enqueue({
+                        sessionId: session.id,
+                        ownerId: session.ownerId,
+                        to: number,
+                        message: args.message,
+                        source: 'broadcast'
+                    });
+                }
+                
+                return `📣 ${text(context.language, {
+                    english: `Broadcasting to ${args.numbers.length} numbers`,
+                    hinglish: `${args.numbers.length} numbers ko bhej rahe hain`,
+                    hindi: `${args.numbers.length} नंबरों को भेजा जा रहा है`
+                })}`;
+            }
+        });
+        
+        console.log(`⌨️ ${this.commands.commands.size} chat commands registered`);
+    }
+    
+    // Owner numbers come from the session config (or OWNER_NUMBERS); the linked phone always counts
+    isSessionOwner(session, fromNumber) {
+        const { ownerNumbers } = this.aiReply.getSessionConfig(session.id);
+        const ownNumber = session.client?.info?.wid?.user;
+        return fromNumber === ownNumber || ownerNumbers.includes(fromNumber);
+    }
+    
     setupCronJobs() {
         // Cleanup inactive sessions every 30 minutes
         cron.schedule('*/30 * * * *', () => {
             this.cleanupInactiveSessions();
         });
         
-        // Update daily analytics at midnight
-        cron.schedule('0 0 * * *', () => {
+        // Roll up the day that just ended, a few minutes after midnight in the analytics timezone
+        cron.schedule('5 0 * * *', () => {
             this.updateDailyAnalytics();
+        }, { timezone: this.analytics.timezone });
+        
+        // Start scheduled campaigns that are due
+        cron.schedule('* * * * *', () => {
+            this.campaigns.startDueCampaigns().catch(error => {
+                console.error('❌ Starting scheduled campaigns failed:', error);
+            });
+        });
+        
+        // Drop delivered queue jobs past their retention
+        cron.schedule('30 3 * * *', () => {
+            this.messageQueue.cleanup().then(removed => {
+                console.log(`🧹 Removed ${removed} old queue jobs`);
+            });
+            this.webhooks.cleanup().then(removed => {
+                console.log(`🧹 Removed ${removed} old webhook deliveries`);
+            });
+            this.idempotency.cleanup();
+            this.history.cleanup().then(removed => {
+                if (removed > 0) console.log(`🧹 Removed ${removed} old messages from the history`);
+            });
         });
         
         console.log('⏰ Cron jobs scheduled');
@@ -520,35 +4047,23 @@ class WhatsAppBotServer {
             if (now - session.lastActivity > timeout) {
                 console.log(`🧹 Cleaning up inactive session: ${sessionId}`);
                 
-                try {
-                    if (session.client) {
-                        session.client.destroy();
-                    }
-                } catch (error) {
+                // Keep auth data so the session can be restarted without a new QR
+                this.whatsappHandler.destroySession(sessionId, { keepAuth: true }).catch(error => {
                     console.error('❌ Session cleanup error:', error);
-                }
+                });
                 
                 this.activeSessions.delete(sessionId);
             }
         }
     }
     
-    async updateDailyAnalytics() {
-        if (!this.dbPool) return;
-        
+    // Deployment-wide totals for one day (yesterday by default) from the per-session rows
+    async updateDailyAnalytics(date = this.analytics.getDate(new Date(Date.now() - 12 * 60 * 60 * 1000))) {
         try {
-            const today = new Date().toISOString().split('T')[0];
-            const stats = await this.getSystemStats();
-            
-            await this.dbPool.execute(
-                `INSERT INTO bot_analytics (date, total_messages, active_sessions) 
-                 VALUES (?, ?, ?) 
-                 ON DUPLICATE KEY UPDATE 
-                 total_messages = ?, active_sessions = ?`,
-                [today, stats.totalMessagesSent, stats.activeSessions, stats.totalMessagesSent, stats.activeSessions]
-            );
+            const totals = this.analytics.summarize(await this.analytics.query({ from: date, to: date }));
+            await this.analytics.saveDailyTotals(date, totals);
             
-            console.log('📊 Daily analytics updated');
+            console.log(`📊 Daily analytics updated for ${date}`);
         } catch (error) {
             console.error('❌ Analytics update failed:', error);
         }
@@ -561,7 +4076,7 @@ class WhatsAppBotServer {
             console.log(`🚀 Server running on port ${port}`);
             console.log(`📱 WebSocket server ready for connections`);
             console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
-            console.log(`💾 Database: ${this.dbPool ? 'Connected' : 'Disconnected'}`);
+            console.log(`💾 Storage: ${this.storageBackend === 'mysql' ? 'MySQL' : `files in ${this.localStore.dataPath}`}`);
         });
         
         // Graceful shutdown
@@ -576,7 +4091,12 @@ class WhatsAppBotServer {
         });
     }
     
-    gracefulShutdown() {
+    async gracefulShutdown() {
+        // Save the day's counters while the database is still open
+        await this.analytics.stop().catch(error => {
+            console.error('❌ Analytics flush failed:', error);
+        });
+        
         // Close all WhatsApp sessions
         for (const [sessionId, session] of this.activeSessions.entries()) {
             try {
@@ -594,8 +4114,16 @@ class WhatsAppBotServer {
             this.dbPool.end();
         }
         
+        this.messageQueue.stop();
+        this.scheduler.stop();
+        this.webhooks.stop();
+        
         // Close server
-        this.server.close(() => {
+        this.server.close(async () => {
+            // Write out anything the local store is still holding
+            await this.localStore.flush().catch(error => {
+                console.error('❌ Local store flush failed:', error);
+            });
             console.log('✅ Server closed successfully');
             process.exit(0);
         });
@@ -0,0 +1,110 @@
+// Records of linked WhatsApp sessions (owner, AI provider, status, message count) in the
+// whatsapp_sessions table, or the "whatsapp_sessions" local collection with file storage.
+// Owner and provider are only recorded when a session is first saved and never reassigned.
+class SessionStore {
+    constructor() {
+        this.dbPool = null;
+        this.localStore = null;
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    async save(sessionId, status, { ownerId, aiProvider } = {}) {
+        if (this.dbPool) {
+            await this.dbPool.execute(
+                'INSERT INTO whatsapp_sessions (id, status, owner_id, ai_provider) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE status = ?, last_active = NOW()',
+                [sessionId, status, ownerId || null, aiProvider || null, status]
+            );
+        } else if (this.localStore) {
+            const now = new Date().toISOString();
+            const existing = await this.localStore.get('whatsapp_sessions', sessionId);
+            
+            await this.localStore.put('whatsapp_sessions', sessionId, existing
+                ? { ...existing, status, lastActive: now }
+                : {
+                    id: sessionId,
+                    status,
+                    ownerId: ownerId || null,
+                    aiProvider: aiProvider || null,
+                    phoneNumber: null,
+                    messagesSent: 0,
+                    createdAt: now,
+                    lastActive: now
+                });
+        }
+    }
+    
+    async get(sessionId) {
+        if (this.dbPool) {
+            const [rows] = await this.dbPool.execute(
+                'SELECT id, owner_id, ai_provider, phone_number, status, created_at, last_active, messages_sent FROM whatsapp_sessions WHERE id = ?',
+                [sessionId]
+            );
+            return rows[0] ? this.fromRow(rows[0]) : null;
+        } else if (this.localStore) {
+            return await this.localStore.get('whatsapp_sessions', sessionId);
+        }
+        return null;
+    }
+    
+    // Newest first; status narrows it down (e.g. 'connected' for sessions to restore)
+    async list({ status } = {}) {
+        if (this.dbPool) {
+            const [rows] = status
+                ? await this.dbPool.execute(
+                    'SELECT id, owner_id, ai_provider, phone_number, status, created_at, last_active, messages_sent FROM whatsapp_sessions WHERE status = ? ORDER BY created_at DESC',
+                    [status]
+                )
+                : await this.dbPool.execute(
+                    'SELECT id, owner_id, ai_provider, phone_number, status, created_at, last_active, messages_sent FROM whatsapp_sessions ORDER BY created_at DESC'
+                );
+            return rows.map(row => this.fromRow(row));
+        } else if (this.localStore) {
+            const sessions = await this.localStore.list('whatsapp_sessions', session => !status || session.status === status);
+            return sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        }
+        return [];
+    }
+    
+    async incrementMessagesSent(sessionId) {
+        if (this.dbPool) {
+            await this.dbPool.execute(
+                'UPDATE whatsapp_sessions SET messages_sent = messages_sent + 1 WHERE id = ?',
+                [sessionId]
+            );
+        } else if (this.localStore) {
+            const session = await this.localStore.get('whatsapp_sessions', sessionId);
+            if (session) {
+                await this.localStore.put('whatsapp_sessions', sessionId, { ...session, messagesSent: session.messagesSent + 1 });
+            }
+        }
+    }
+    
+    async getTotalMessagesSent() {
+        if (this.dbPool) {
+            const [rows] = await this.dbPool.execute('SELECT SUM(messages_sent) as total FROM whatsapp_sessions');
+            return parseInt(rows[0]?.total) || 0;
+        }
+        
+        const sessions = await this.list();
+        return sessions.reduce((total, session) => total + session.messagesSent, 0);
+    }
+    
+    fromRow(row) {
+        return {
+            id: row.id,
+            status: row.status,
+            ownerId: row.owner_id,
+            aiProvider: row.ai_provider,
+            phoneNumber: row.phone_number,
+            messagesSent: row.messages_sent,
+            createdAt: row.created_at,
+            lastActive: row.last_active
+        };
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,77 @@
+// Small JSON settings kept per scope (e.g. "session:<id>") and key.
+// Everything is loaded into memory at startup and written through on change.
+class SettingsStore {
+    constructor() {
+        this.dbPool = null;
+        this.localStore = null;
+        this.settings = new Map();
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    getKey(scope, key) {
+        return `${scope}:${key}`;
+    }
+    
+    async load() {
+        this.settings.clear();
+        
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute('SELECT scope, setting_key, value FROM bot_settings');
+                rows.forEach(row => {
+                    this.settings.set(this.getKey(row.scope, row.setting_key), JSON.parse(row.value));
+                });
+            } else if (this.localStore) {
+                const records = await this.localStore.list('bot_settings');
+                records.forEach(record => {
+                    this.settings.set(this.getKey(record.scope, record.key), record.value);
+                });
+            }
+        } catch (error) {
+            console.error('❌ Failed to load settings:', error.message);
+        }
+        
+        console.log(`⚙️ Loaded ${this.settings.size} settings`);
+    }
+    
+    get(scope, key, defaultValue = null) {
+        const value = this.settings.get(this.getKey(scope, key));
+        return value === undefined ? defaultValue : value;
+    }
+    
+    async set(scope, key, value) {
+        if (this.dbPool) {
+            await this.dbPool.execute(
+                `INSERT INTO bot_settings (scope, setting_key, value) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE value = VALUES(value)`,
+                [scope, key, JSON.stringify(value)]
+            );
+        } else if (this.localStore) {
+            await this.localStore.put('bot_settings', this.getKey(scope, key), {
+                scope,
+                key,
+                value,
+                updatedAt: new Date().toISOString()
+            });
+        }
+        
+        this.settings.set(this.getKey(scope, key), value);
+        return value;
+    }
+    
+    async remove(scope, key) {
+        if (this.dbPool) {
+            await this.dbPool.execute('DELETE FROM bot_settings WHERE scope = ? AND setting_key = ?', [scope, key]);
+        } else if (this.localStore) {
+            await this.localStore.remove('bot_settings', this.getKey(scope, key));
+        }
+        
+        return this.settings.delete(this.getKey(scope, key));
+    }
+}
+
+module.exports = SettingsStore;
@@ -0,0 +1,219 @@
+const { v4: uuidv4 } = require('uuid');
+const { renderTemplate, extractVariables } = require('./template-utils');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,63}$/;
+
+// Named message templates for transactional messages (OTPs, order confirmations...), kept
+// per session. Every change creates a new version so messages already sent can be traced to
+// the exact wording; callers use the latest version unless they pin one.
+// Variants are keyed by language with a "default" fallback and use {{variable}} placeholders.
+class TemplateStore {
+    constructor(options = {}) {
+        this.dbPool = null;
+        this.localStore = null;
+        this.languages = options.languages || [];
+        
+        this.versions = new Map(); // `${sessionId}:${name}` -> versions, oldest first
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    getKey(sessionId, name) {
+        return `${sessionId}:${name}`;
+    }
+    
+    async load() {
+        const versions = await this.loadVersions();
+        this.versions.clear();
+        
+        versions
+            .sort((a, b) => a.version - b.version)
+            .forEach(version => {
+                const key = this.getKey(version.sessionId, version.name);
+                if (!this.versions.has(key)) {
+                    this.versions.set(key, []);
+                }
+                this.versions.get(key).push(version);
+            });
+            
+        console.log(`🧾 Loaded ${this.versions.size} message templates`);
+    }
+    
+    // name is only checked when creating; returns an error message or null
+    validateTemplate({ name, description, variants }, { creating = false } = {}) {
+        if (creating && (typeof name !== 'string' || !NAME_PATTERN.test(name))) {
+            return 'name must be 1-64 lowercase letters, digits, dots, dashes or underscores';
+        }
+        if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 255)) {
+            return 'description must be a string of up to 255 characters';
+        }
+        if (!variants || typeof variants !== 'object' || Array.isArray(variants)) {
+            return 'variants must be an object keyed by language, e.g. { "default": "Your OTP is {{otp}}" }';
+        }
+        if (typeof variants.default !== 'string') {
+            return 'variants.default is required';
+        }
+        
+        for (const [language, text] of Object.entries(variants)) {
+            if (language !== 'default' && !this.languages.includes(language)) {
+                return `Unknown language in variants: ${language}`;
+            }
+            if (typeof text !== 'string' || !text.trim() || text.length > 4096) {
+                return `variants.${language} must be a string of up to 4096 characters`;
+            }
+        }
+        
+        return null;
+    }
+    
+    getVersions(sessionId, name) {
+        return this.versions.get(this.getKey(sessionId, name)) || [];
+    }
+    
+    // The latest version, or the given one
+    getTemplate(sessionId, name, version = null) {
+        const versions = this.getVersions(sessionId, name);
+        if (version === null || version === undefined) {
+            return versions[versions.length - 1] || null;
+        }
+        return versions.find(candidate => candidate.version === Number(version)) || null;
+    }
+    
+    listTemplates(sessionId) {
+        return Array.from(this.versions.values())
+            .filter(versions => versions[0].sessionId === sessionId)
+            .map(versions => versions[versions.length - 1])
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    async create({ ownerId, sessionId, name, description, variants }) {
+        return this.addVersion({ ownerId, sessionId, name, description, variants, version: 1 });
+    }
+    
+    // Changes never touch an existing version; the description carries over unless given
+    async update(latest, { description, variants }) {
+        return this.addVersion({
+            ownerId: latest.ownerId,
+            sessionId: latest.sessionId,
+            name: latest.name,
+            description: description !== undefined ? description : latest.description,
+            variants,
+            version: latest.version + 1
+        });
+    }
+    
+    async addVersion({ ownerId, sessionId, name, description, variants, version }) {
+        const template = {
+            id: uuidv4(),
+            ownerId: ownerId || null,
+            sessionId,
+            name,
+            version,
+            description: description || null,
+            variants,
+            createdAt: new Date().toISOString()
+        };
+        
+        if (this.dbPool) {
+            await this.dbPool.execute(
+                `INSERT INTO message_templates (id, owner_id, session_id, name, version, description, variants, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [template.id, template.ownerId, sessionId, name, version, template.description,
+                    JSON.stringify(variants), new Date(template.createdAt)]
+            );
+        } else if (this.localStore) {
+            await this.localStore.put('message_templates', template.id, template);
+        }
+        
+        const key = this.getKey(sessionId, name);
+        if (!this.versions.has(key)) {
+            this.versions.set(key, []);
+        }
+        this.versions.get(key).push(template);
+        
+        console.log(`🧾 Template ${name} v${version} saved for session ${sessionId}`);
+        return template;
+    }
+    
+    // Removes every version
+    async remove(sessionId, name) {
+        if (this.dbPool) {
+            await this.dbPool.execute('DELETE FROM message_templates WHERE session_id = ? AND name = ?', [sessionId, name]);
+        } else if (this.localStore) {
+            await this.localStore.removeWhere('message_templates', template =>
+                template.sessionId === sessionId && template.name === name
+            );
+        }
+        
+        this.versions.delete(this.getKey(sessionId, name));
+    }
+    
+    describeTemplate(template) {
+        return {
+            name: template.name,
+            version: template.version,
+            latestVersion: this.getTemplate(template.sessionId, template.name).version,
+            description: template.description,
+            variants: template.variants,
+            variables: this.getVariables(template),
+            createdAt: template.createdAt
+        };
+    }
+    
+    // [{ name, required }] across all language variants; required when some variant has no default
+    getVariables(template) {
+        const variables = new Map();
+        Object.values(template.variants).forEach(text => {
+            extractVariables(text).forEach(variable => {
+                const required = !variable.hasDefault || Boolean(variables.get(variable.name)?.required);
+                variables.set(variable.name, { name: variable.name, required });
+            });
+        });
+        return Array.from(variables.values());
+    }
+    
+    // Renders the variant for the language (falling back to default).
+    // Returns { text, language } or { error } when required parameters are missing.
+    render(template, params = {}, language = null) {
+        const variantLanguage = language && template.variants[language] ? language : 'default';
+        const text = template.variants[variantLanguage];
+        
+        const missing = extractVariables(text)
+            .filter(variable => !variable.hasDefault && !renderTemplate(`{{${variable.name}}}`, params))
+            .map(variable => variable.name);
+        if (missing.length > 0) {
+            return { error: `Missing parameters: ${missing.join(', ')}` };
+        }
+        
+        return { text: renderTemplate(text, params), language: variantLanguage };
+    }
+    
+    async loadVersions() {
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute('SELECT * FROM message_templates ORDER BY version');
+                return rows.map(row => ({
+                    id: row.id,
+                    ownerId: row.owner_id,
+                    sessionId: row.session_id,
+                    name: row.name,
+                    version: row.version,
+                    description: row.description,
+                    variants: JSON.parse(row.variants),
+                    createdAt: new Date(row.created_at).toISOString()
+                }));
+            } else if (this.localStore) {
+                return await this.localStore.list('message_templates');
+            }
+        } catch (error) {
+            console.error('❌ Failed to load message templates:', error.message);
+        }
+        
+        return [];
+    }
+}
+
+module.exports = TemplateStore;
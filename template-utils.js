@@ -0,0 +1,43 @@
+// Message templates with {{variable}} placeholders. A default can follow a pipe:
+// "Hi {{name|there}}" renders "Hi there" when the contact has no name.
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function renderTemplate(template, variables = {}) {
+    return String(template || '').replace(PLACEHOLDER, (match, name, fallback) => {
+        const value = lookup(variables, name);
+        if (value === undefined || value === null || value === '') {
+            return fallback !== undefined ? fallback.trim() : '';
+        }
+        return String(value);
+    });
+}
+
+// Variable names are case-insensitive so CSV headers like "Name" match {{name}}
+function lookup(variables, name) {
+    if (name in variables) {
+        return variables[name];
+    }
+    
+    const key = Object.keys(variables).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : variables[key];
+}
+
+// [{ name, hasDefault }] for every distinct placeholder in the template
+function extractVariables(template) {
+    const variables = new Map();
+    
+    for (const match of String(template || '').matchAll(PLACEHOLDER)) {
+        const existing = variables.get(match[1]);
+        variables.set(match[1], {
+            name: match[1],
+            hasDefault: match[2] !== undefined || Boolean(existing?.hasDefault)
+        });
+    }
+    
+    return Array.from(variables.values());
+}
+
+module.exports = {
+    renderTemplate,
+    extractVariables
+};
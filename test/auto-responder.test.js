@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AutoResponder = require('../auto-responder');
+
+const regexRule = pattern => ({ match: 'regex', pattern, replies: { default: 'ok' } });
+
+test('refuses regex rules that repeat a repeated group', () => {
+    const responder = new AutoResponder();
+    
+    for (const pattern of ['(a+)+$', '(\\w+\\s?)*$', '(?:x*)*', '((ab)+c){2,}']) {
+        assert.match(responder.validateRule(regexRule(pattern)), /repeats a group that already repeats/, pattern);
+    }
+});
+
+test('accepts ordinary regex rules', () => {
+    const responder = new AutoResponder();
+    
+    for (const pattern of ['\\b(upi|gpay|paytm)\\b', '^hi+$', '(a+)?', '[(+]+', '\\(a+\\)+', 'order #?\\d{4,8}']) {
+        assert.strictEqual(responder.validateRule(regexRule(pattern)), null, pattern);
+    }
+});
+
+test('stored rules with unsafe patterns never match', () => {
+    const responder = new AutoResponder();
+    responder.rules.set('r1', {
+        id: 'r1',
+        sessionId: 's1',
+        position: 1,
+        enabled: true,
+        ...regexRule('(a+)+$')
+    });
+    
+    assert.strictEqual(responder.find('s1', `${'a'.repeat(40)}!`), null);
+});
@@ -0,0 +1,72 @@
+// Timezone helpers built on Intl, for schedules and business hours given as wall-clock times
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock fields of an instant in timeZone; weekday is 'sun' to 'sat'
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS.find(day => parts.weekday.toLowerCase().startsWith(day))
+    };
+}
+
+// Minutes between the wall-clock time in timeZone and UTC at the given instant
+function getTimezoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return (local - Math.floor(date.getTime() / 1000) * 1000) / 60000;
+}
+
+// "2026-10-19T09:00" without an offset is read as wall-clock time in timeZone;
+// ISO strings with Z or an offset are taken as they are
+function parseZonedDate(value, timeZone) {
+    const text = String(value).trim().replace(' ', 'T');
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        return new Date(text);
+    }
+    
+    const asUtc = new Date(`${text}Z`);
+    if (Number.isNaN(asUtc.getTime())) {
+        return asUtc;
+    }
+    
+    // Second pass corrects times next to a daylight saving change
+    const guess = new Date(asUtc.getTime() - getTimezoneOffset(asUtc, timeZone) * 60000);
+    return new Date(asUtc.getTime() - getTimezoneOffset(guess, timeZone) * 60000);
+}
+
+module.exports = {
+    WEEKDAYS,
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    parseZonedDate
+};
@@ -0,0 +1,109 @@
+const axios = require('axios');
+const { GeminiProvider } = require('./llm-providers');
+
+// Turns voice notes into text. transcribe({ mimeType, data }) resolves to the text or null.
+class Transcriber {
+    constructor(name) {
+        this.name = name;
+    }
+    
+    async transcribe(audio) {
+        throw new Error(`Transcriber ${this.name} does not implement transcribe()`);
+    }
+}
+
+// Sends the audio to Gemini, which understands WhatsApp's ogg/opus voice notes directly
+class GeminiTranscriber extends Transcriber {
+    constructor(options = {}) {
+        super('gemini');
+        this.provider = new GeminiProvider(options);
+    }
+    
+    async transcribe(audio) {
+        const text = await this.provider.generate({
+            systemInstruction: 'Transcribe this voice note word for word in the language it is spoken. Reply with the transcript only.',
+            messages: [{
+                role: 'user',
+                content: '',
+                attachments: [audio]
+            }]
+        }, {
+            temperature: 0,
+            maxOutputTokens: 1000
+        });
+        
+        return text ? text.trim() : null;
+    }
+}
+
+// OpenAI's /audio/transcriptions API; local Whisper servers (whisper.cpp, faster-whisper) expose the same
+class WhisperTranscriber extends Transcriber {
+    constructor(options = {}) {
+        super('whisper');
+        this.baseUrl = (options.baseUrl || process.env.WHISPER_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || process.env.WHISPER_API_KEY || process.env.OPENAI_API_KEY || null;
+        this.model = options.model || process.env.WHISPER_MODEL || 'whisper-1';
+        this.timeout = options.timeout || 60000;
+    }
+    
+    async transcribe(audio) {
+        const mimeType = audio.mimeType.split(';')[0];
+        const extension = mimeType.split('/')[1] || 'ogg';
+        
+        const form = new FormData();
+        form.append('file', new Blob([Buffer.from(audio.data, 'base64')], { type: mimeType }), `voice.${extension}`);
+        form.append('model', this.model);
+        
+        try {
+            const headers = {};
+            if (this.apiKey) {
+                headers.Authorization = `Bearer ${this.apiKey}`;
+            }
+            
+            const response = await axios.post(`${this.baseUrl}/audio/transcriptions`, form, {
+                headers,
+                timeout: this.timeout
+            });
+            
+            return response.data?.text ? response.data.text.trim() : null;
+        } catch (error) {
+            console.error('❌ Whisper transcription failed:', error.response?.status || error.message);
+            return null;
+        }
+    }
+}
+
+// Offline stand-in for development; every voice note reads the same
+class MockTranscriber extends Transcriber {
+    constructor() {
+        super('mock');
+    }
+    
+    async transcribe(audio) {
+        return process.env.MOCK_TRANSCRIPT || 'Hi, I sent you a voice note. Can you help me?';
+    }
+}
+
+const TRANSCRIBERS = {
+    gemini: GeminiTranscriber,
+    whisper: WhisperTranscriber,
+    mock: MockTranscriber
+};
+
+function createTranscriber(name, options = {}) {
+    const Transcriber = TRANSCRIBERS[name];
+    if (!Transcriber) {
+        throw new Error(`Unknown transcriber: ${name}`);
+    }
+    
+    return new Transcriber(options);
+}
+
+module.exports = {
+    Transcriber,
+    GeminiTranscriber,
+    WhisperTranscriber,
+    MockTranscriber,
+    TRANSCRIBERS,
+    createTranscriber
+};
@@ -0,0 +1,580 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+const EVENTS = ['message.received', 'reply.sent', 'message.ack', 'session.ready', 'session.disconnected', 'auth_failure'];
+
+// Loopback, private, link-local (cloud metadata), shared and reserved ranges webhooks may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Webhook subscriptions per session. Every event becomes one delivery per matching webhook,
+// POSTed as JSON { id, event, sessionId, timestamp, data } with these headers:
+//   X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp (unix seconds) and
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// Receivers should recompute the signature and reject old timestamps. The event id stays
+// the same when a delivery is retried or replayed, so receivers can ignore duplicates.
+//
+// Delivery statuses: pending -> delivered, or failed once attempts run out.
+//
+// Webhooks cannot target loopback, private or link-local addresses, whether written in the
+// URL or resolved from a hostname at delivery time. Hosts listed in WEBHOOK_ALLOWED_HOSTS
+// (comma separated) are exempt, for receivers running next to the bot.
+class WebhookManager {
+    constructor() {
+        this.dbPool = null;
+        this.localStore = null;
+        
+        this.webhooks = new Map();
+        this.pending = new Map(); // deliveryId -> delivery waiting for its next attempt
+        this.inFlight = 0;
+        this.timer = null;
+        
+        this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+        this.retryDelay = 10000;
+        this.maxRetryDelay = 60 * 60 * 1000;
+        this.concurrency = 5;
+        
+        this.allowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+            .split(',')
+            .map(host => this.normalizeHost(host.trim()))
+            .filter(Boolean);
+        
+        // Every connection resolves through lookupPublic, so a hostname cannot pass validation
+        // and later resolve to an internal address
+        const lookup = (hostname, options, callback) => this.lookupPublic(hostname, options, callback);
+        this.httpAgent = new http.Agent({ lookup });
+        this.httpsAgent = new https.Agent({ lookup });
+    }
+    
+    setStorage({ dbPool, localStore }) {
+        this.dbPool = dbPool || null;
+        this.localStore = localStore || null;
+    }
+    
+    async start() {
+        const webhooks = await this.loadWebhooks();
+        webhooks.forEach(webhook => this.webhooks.set(webhook.id, webhook));
+        
+        const deliveries = await this.listDeliveries({ status: 'pending', limit: 10000 });
+        deliveries.forEach(delivery => this.pending.set(delivery.id, delivery));
+        
+        this.timer = setInterval(() => this.tick(), 1000);
+        console.log(`🪝 Loaded ${this.webhooks.size} webhooks with ${this.pending.size} pending deliveries`);
+    }
+    
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    // fields may be partial when existing is given; returns an error message or null
+    validateWebhook(fields, existing = null) {
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            return 'Webhook must be an object';
+        }
+        
+        const url = this.parseUrl(fields.url !== undefined ? fields.url : existing?.url);
+        if (!url) {
+            return 'url must be an absolute http or https URL';
+        }
+        const hostError = this.checkHost(url.hostname);
+        if (hostError) {
+            return hostError;
+        }
+        
+        if (fields.events !== undefined && (!Array.isArray(fields.events) || fields.events.length === 0 ||
+            !fields.events.every(event => EVENTS.includes(event)))) {
+            return `events must be a list of: ${EVENTS.join(', ')}`;
+        }
+        if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+            return 'enabled must be true or false';
+        }
+        if (fields.description !== undefined && fields.description !== null &&
+            (typeof fields.description !== 'string' || fields.description.length > 255)) {
+            return 'description must be a string of up to 255 characters';
+        }
+        
+        return null;
+    }
+    
+    parseUrl(value) {
+        try {
+            const url = new URL(value);
+            return ['http:', 'https:'].includes(url.protocol) ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Hostname as written in a URL: lowercase, IPv6 without brackets
+    normalizeHost(hostname) {
+        return hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    }
+    
+    isAllowedHost(hostname) {
+        return this.allowedHosts.includes(this.normalizeHost(hostname));
+    }
+    
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges
+    isBlockedAddress(address) {
+        const family = net.isIP(address);
+        if (family === 0) return false;
+        return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+    }
+    
+    // Returns an error message for hosts webhooks may not target, or null. Hostnames are only
+    // resolved when a delivery connects (see lookupPublic).
+    checkHost(hostname) {
+        if (this.isAllowedHost(hostname)) return null;
+        
+        const host = this.normalizeHost(hostname);
+        if (host === 'localhost' || host.endsWith('.localhost') || this.isBlockedAddress(host)) {
+            return 'url must not point to a loopback, private or link-local address';
+        }
+        return null;
+    }
+    
+    // dns.lookup that refuses to connect to blocked addresses
+    lookupPublic(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            
+            const blocked = !this.isAllowedHost(hostname) && addresses.find(entry => this.isBlockedAddress(entry.address));
+            if (blocked) {
+                return callback(new Error(`${hostname} resolves to a blocked address (${blocked.address})`));
+            }
+            
+            if (options.all) {
+                callback(null, addresses);
+            } else {
+                callback(null, addresses[0].address, addresses[0].family);
+            }
+        });
+    }
+    
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+    
+    async create({ ownerId, sessionId, url, events, description, enabled }) {
+        const now = new Date().toISOString();
+        const webhook = {
+            id: uuidv4(),
+            ownerId: ownerId || null,
+            sessionId,
+            url,
+            events: events || [...EVENTS],
+            secret: this.generateSecret(),
+            description: description || null,
+            enabled: enabled !== false,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        this.webhooks.set(webhook.id, webhook);
+        await this.saveWebhook(webhook);
+        
+        console.log(`🪝 Webhook ${webhook.id} added for session ${sessionId}: ${url}`);
+        return webhook;
+    }
+    
+    async update(webhook, changes) {
+        for (const field of ['url', 'events', 'description', 'enabled']) {
+            if (changes[field] !== undefined) {
+                webhook[field] = changes[field];
+            }
+        }
+        if (changes.rotateSecret === true) {
+            webhook.secret = this.generateSecret();
+        }
+        webhook.updatedAt = new Date().toISOString();
+        
+        await this.saveWebhook(webhook);
+        return webhook;
+    }
+    
+    // Pending deliveries are dropped with the webhook; the log of past ones goes too
+    async remove(webhook) {
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhook.id]);
+                await this.dbPool.execute('DELETE FROM webhooks WHERE id = ?', [webhook.id]);
+            } else if (this.localStore) {
+                await this.localStore.removeWhere('webhook_deliveries', delivery => delivery.webhookId === webhook.id);
+                await this.localStore.remove('webhooks', webhook.id);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to remove webhook ${webhook.id}:`, error.message);
+        }
+        
+        this.webhooks.delete(webhook.id);
+        for (const delivery of this.pending.values()) {
+            if (delivery.webhookId === webhook.id) {
+                this.pending.delete(delivery.id);
+            }
+        }
+    }
+    
+    getWebhook(webhookId) {
+        return this.webhooks.get(webhookId) || null;
+    }
+    
+    listWebhooks(filter = null) {
+        const webhooks = Array.from(this.webhooks.values());
+        return filter ? webhooks.filter(filter) : webhooks;
+    }
+    
+    // The secret is only shown when the webhook is created or the secret is rotated
+    describeWebhook(webhook, { withSecret = false } = {}) {
+        return {
+            id: webhook.id,
+            sessionId: webhook.sessionId,
+            url: webhook.url,
+            events: webhook.events,
+            description: webhook.description,
+            enabled: webhook.enabled,
+            ...(withSecret ? { secret: webhook.secret } : {}),
+            createdAt: webhook.createdAt,
+            updatedAt: webhook.updatedAt
+        };
+    }
+    
+    describeDelivery(delivery, { withPayload = false } = {}) {
+        return {
+            id: delivery.id,
+            webhookId: delivery.webhookId,
+            eventId: delivery.payload.id,
+            event: delivery.event,
+            status: delivery.status,
+            attempts: delivery.attempts,
+            nextAttemptAt: delivery.status === 'pending' ? new Date(delivery.nextAttemptAt).toISOString() : null,
+            responseStatus: delivery.responseStatus,
+            lastError: delivery.lastError,
+            replayOf: delivery.replayOf,
+            createdAt: delivery.createdAt,
+            deliveredAt: delivery.deliveredAt,
+            ...(withPayload ? { payload: delivery.payload, responseBody: delivery.responseBody } : {})
+        };
+    }
+    
+    // Queues one delivery for every enabled webhook of the session subscribed to the event
+    async dispatch(sessionId, event, data) {
+        const webhooks = this.listWebhooks(webhook =>
+            webhook.enabled && webhook.sessionId === sessionId && webhook.events.includes(event)
+        );
+        if (webhooks.length === 0) {
+            return [];
+        }
+        
+        const payload = {
+            id: uuidv4(),
+            event,
+            sessionId,
+            timestamp: new Date().toISOString(),
+            data
+        };
+        
+        return Promise.all(webhooks.map(webhook => this.enqueue(webhook, payload)));
+    }
+    
+    async enqueue(webhook, payload, replayOf = null) {
+        const delivery = {
+            id: uuidv4(),
+            webhookId: webhook.id,
+            sessionId: webhook.sessionId,
+            event: payload.event,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            responseStatus: null,
+            responseBody: null,
+            lastError: null,
+            replayOf,
+            createdAt: new Date().toISOString(),
+            deliveredAt: null
+        };
+        
+        await this.saveDelivery(delivery);
+        this.pending.set(delivery.id, delivery);
+        return delivery;
+    }
+    
+    // Sends the original payload again as a new delivery
+    async replay(webhook, delivery) {
+        const replayed = await this.enqueue(webhook, delivery.payload, delivery.id);
+        console.log(`🪝 Replaying delivery ${delivery.id} to ${webhook.url}`);
+        return replayed;
+    }
+    
+    tick() {
+        const now = Date.now();
+        for (const delivery of this.pending.values()) {
+            if (this.inFlight >= this.concurrency) break;
+            if (delivery.sending || delivery.nextAttemptAt > now) continue;
+            
+            delivery.sending = true;
+            this.inFlight++;
+            this.attempt(delivery)
+                .catch(error => console.error(`❌ Webhook delivery ${delivery.id} failed unexpectedly:`, error))
+                .finally(() => {
+                    delivery.sending = false;
+                    this.inFlight--;
+                });
+        }
+    }
+    
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+    
+    async attempt(delivery) {
+        const webhook = this.webhooks.get(delivery.webhookId);
+        if (!webhook) {
+            this.pending.delete(delivery.id);
+            return;
+        }
+        
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        delivery.attempts++;
+        
+        try {
+            // Webhooks saved before the address checks existed are held to them as well
+            const hostError = this.checkHost(new URL(webhook.url).hostname);
+            if (hostError) {
+                throw new Error(hostError);
+            }
+            
+            const response = await axios.post(webhook.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'whatsapp-auto-bot-webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+                },
+                timeout: this.timeout,
+                httpAgent: this.httpAgent,
+                httpsAgent: this.httpsAgent,
+                proxy: false,
+                maxRedirects: 0,
+                responseType: 'text',
+                transformResponse: data => data,
+                validateStatus: () => true
+            });
+            
+            delivery.responseStatus = response.status;
+            delivery.responseBody = String(response.data || '').slice(0, 1000);
+            if (response.status >= 200 && response.status < 300) {
+                delivery.status = 'delivered';
+                delivery.deliveredAt = new Date().toISOString();
+                delivery.lastError = null;
+                this.pending.delete(delivery.id);
+                await this.saveDelivery(delivery);
+                return;
+            }
+            delivery.lastError = `HTTP ${response.status}`;
+        } catch (error) {
+            delivery.responseStatus = null;
+            delivery.responseBody = null;
+            delivery.lastError = error.message;
+        }
+        
+        if (delivery.attempts >= this.maxAttempts) {
+            delivery.status = 'failed';
+            this.pending.delete(delivery.id);
+            console.log(`🪝 Webhook delivery ${delivery.id} (${delivery.event}) failed after ${delivery.attempts} attempts: ${delivery.lastError}`);
+        } else {
+            // Exponential backoff with jitter
+            const delay = Math.min(this.retryDelay * Math.pow(2, delivery.attempts - 1), this.maxRetryDelay);
+            delivery.nextAttemptAt = Date.now() + delay + Math.random() * 1000;
+        }
+        await this.saveDelivery(delivery);
+    }
+    
+    async getDelivery(deliveryId) {
+        if (this.pending.has(deliveryId)) {
+            return this.pending.get(deliveryId);
+        }
+        
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+                return rows.length > 0 ? this.fromRow(rows[0]) : null;
+            } else if (this.localStore) {
+                return await this.localStore.get('webhook_deliveries', deliveryId);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to load webhook delivery ${deliveryId}:`, error.message);
+        }
+        return null;
+    }
+    
+    async listDeliveries({ webhookId, status, limit = 50 } = {}) {
+        const max = Math.min(parseInt(limit) || 50, 10000);
+        
+        if (this.dbPool) {
+            const conditions = [];
+            const params = [];
+            if (webhookId) {
+                conditions.push('webhook_id = ?');
+                params.push(webhookId);
+            }
+            if (status) {
+                conditions.push('status = ?');
+                params.push(status);
+            }
+            
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const [rows] = await this.dbPool.execute(
+                `SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC LIMIT ${max}`,
+                params
+            );
+            return rows.map(row => this.pending.get(row.id) || this.fromRow(row));
+        }
+        
+        const source = this.localStore ? await this.localStore.list('webhook_deliveries') : Array.from(this.pending.values());
+        return source
+            .filter(delivery => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, max)
+            .map(delivery => this.pending.get(delivery.id) || delivery);
+    }
+    
+    fromRow(row) {
+        return {
+            id: row.id,
+            webhookId: row.webhook_id,
+            sessionId: row.session_id,
+            event: row.event,
+            payload: JSON.parse(row.payload),
+            status: row.status,
+            attempts: row.attempts,
+            nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).getTime() : Date.now(),
+            responseStatus: row.response_status,
+            responseBody: row.response_body,
+            lastError: row.last_error,
+            replayOf: row.replay_of,
+            createdAt: new Date(row.created_at).toISOString(),
+            deliveredAt: row.delivered_at ? new Date(row.delivered_at).toISOString() : null
+        };
+    }
+    
+    async cleanup(retentionDays = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 7) {
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        
+        try {
+            if (this.dbPool) {
+                const [result] = await this.dbPool.execute(
+                    "DELETE FROM webhook_deliveries WHERE status IN ('delivered', 'failed') AND created_at < ?",
+                    [new Date(cutoff)]
+                );
+                return result.affectedRows;
+            } else if (this.localStore) {
+                return await this.localStore.removeWhere('webhook_deliveries', delivery =>
+                    ['delivered', 'failed'].includes(delivery.status) && new Date(delivery.createdAt).getTime() < cutoff
+                );
+            }
+        } catch (error) {
+            console.error('❌ Webhook log cleanup failed:', error.message);
+        }
+        
+        return 0;
+    }
+    
+    async loadWebhooks() {
+        try {
+            if (this.dbPool) {
+                const [rows] = await this.dbPool.execute('SELECT * FROM webhooks ORDER BY created_at');
+                return rows.map(row => ({
+                    id: row.id,
+                    ownerId: row.owner_id,
+                    sessionId: row.session_id,
+                    url: row.url,
+                    events: JSON.parse(row.events),
+                    secret: row.secret,
+                    description: row.description,
+                    enabled: Boolean(row.enabled),
+                    createdAt: new Date(row.created_at).toISOString(),
+                    updatedAt: new Date(row.updated_at).toISOString()
+                }));
+            } else if (this.localStore) {
+                return await this.localStore.list('webhooks');
+            }
+        } catch (error) {
+            console.error('❌ Failed to load webhooks:', error.message);
+        }
+        
+        return [];
+    }
+    
+    async saveWebhook(webhook) {
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    `INSERT INTO webhooks (id, owner_id, session_id, url, events, secret, description, enabled, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE
+                        url = VALUES(url), events = VALUES(events), secret = VALUES(secret),
+                        description = VALUES(description), enabled = VALUES(enabled), updated_at = VALUES(updated_at)`,
+                    [
+                        webhook.id, webhook.ownerId, webhook.sessionId, webhook.url, JSON.stringify(webhook.events),
+                        webhook.secret, webhook.description, webhook.enabled,
+                        new Date(webhook.createdAt), new Date(webhook.updatedAt)
+                    ]
+                );
+            } else if (this.localStore) {
+                await this.localStore.put('webhooks', webhook.id, { ...webhook });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to save webhook ${webhook.id}:`, error.message);
+        }
+    }
+    
+    async saveDelivery(delivery) {
+        const { sending, ...record } = delivery;
+        
+        try {
+            if (this.dbPool) {
+                await this.dbPool.execute(
+                    `INSERT INTO webhook_deliveries
+                        (id, webhook_id, session_id, event, payload, status, attempts, next_attempt_at,
+                         response_status, response_body, last_error, replay_of, created_at, delivered_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE
+                        status = VALUES(status), attempts = VALUES(attempts), next_attempt_at = VALUES(next_attempt_at),
+                        response_status = VALUES(response_status), response_body = VALUES(response_body),
+                        last_error = VALUES(last_error), delivered_at = VALUES(delivered_at)`,
+                    [
+                        record.id, record.webhookId, record.sessionId, record.event, JSON.stringify(record.payload),
+                        record.status, record.attempts, new Date(record.nextAttemptAt), record.responseStatus,
+                        record.responseBody, record.lastError, record.replayOf, new Date(record.createdAt),
+                        record.deliveredAt ? new Date(record.deliveredAt) : null
+                    ]
+                );
+            } else if (this.localStore) {
+                await this.localStore.put('webhook_deliveries', record.id, record);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to save webhook delivery ${delivery.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = WebhookManager;
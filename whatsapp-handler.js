@@ -169,22 +169,27 @@ class WhatsAppHandler {
             
         } catch (error) {
             console.error(`❌ [${sessionId}] Failed to send message:`, error);
+            error.permanent = this.isPermanentSendError(error);
             throw error;
         }
     }
     
-    async sendMedia(sessionId, to, mediaPath, caption = '', options = {}) {
+    // media is a file path or { mimetype, data (base64), filename }
+    async sendMedia(sessionId, to, media, caption = '', options = {}) {
         const client = this.clients.get(sessionId);
         if (!client) {
             throw new Error(`Session ${sessionId} not found`);
         }
         
         try {
-            const media = MessageMedia.fromFilePath(mediaPath);
+            const messageMedia = typeof media === 'string'
+                ? MessageMedia.fromFilePath(media)
+                : new MessageMedia(media.mimetype, media.data, media.filename || null, media.filesize || null);
             const formattedNumber = this.formatPhoneNumber(to);
             
-            const sentMessage = await client.sendMessage(formattedNumber, media, {
-                caption,
+            // Voice notes cannot carry a caption
+            const sentMessage = await client.sendMessage(formattedNumber, messageMedia, {
+                ...(caption ? { caption } : {}),
                 ...options
             });
             
@@ -193,11 +198,25 @@ class WhatsAppHandler {
             
         } catch (error) {
             console.error(`❌ [${sessionId}] Failed to send media:`, error);
+            error.permanent = this.isPermanentSendError(error);
             throw error;
         }
     }
     
+    // Failures no retry can fix: invalid or unregistered numbers, media files that are gone
+    isPermanentSendError(error) {
+        if (['ENOENT', 'EISDIR'].includes(error.code)) {
+            return true;
+        }
+        return /invalid wid|wid error|no lid for user|not registered/i.test(error.message || '');
+    }
+    
     formatPhoneNumber(number) {
+        // Chat ids (user@c.us, group@g.us) are already complete
+        if (number.includes('@')) {
+            return number;
+        }
+        
         // Remove all non-numeric characters
         let formatted = number.replace(/\D/g, '');
         
@@ -250,7 +269,7 @@ class WhatsAppHandler {
         return sessions;
     }
     
-    async destroySession(sessionId) {
+    async destroySession(sessionId, options = {}) {
         const client = this.clients.get(sessionId);
         if (!client) {
             console.log(`⚠️ Session ${sessionId} not found for destruction`);
@@ -263,8 +282,10 @@ class WhatsAppHandler {
             await client.destroy();
             this.clients.delete(sessionId);
             
-            // Clean up session files
-            await this.cleanupSession(sessionId);
+            // Clean up session files unless the session should reconnect without a new QR
+            if (!options.keepAuth) {
+                await this.cleanupSession(sessionId);
+            }
             
             console.log(`✅ Session ${sessionId} destroyed successfully`);
             return true;
@@ -272,10 +293,34 @@ class WhatsAppHandler {
         } catch (error) {
             console.error(`❌ Failed to destroy session ${sessionId}:`, error);
             this.clients.delete(sessionId); // Remove from memory anyway
+            
+            if (!options.keepAuth) {
+                await this.cleanupSession(sessionId);
+            }
             return false;
         }
     }
     
+    async logoutSession(sessionId) {
+        const client = this.clients.get(sessionId);
+        if (!client) {
+            await this.cleanupSession(sessionId);
+            return false;
+        }
+        
+        try {
+            // Unlink the device on the phone side before tearing down the browser
+            if (client.info) {
+                await client.logout();
+                console.log(`🔓 [${sessionId}] Logged out from WhatsApp`);
+            }
+        } catch (error) {
+            console.error(`⚠️ [${sessionId}] Logout failed, destroying anyway:`, error.message);
+        }
+        
+        return await this.destroySession(sessionId);
+    }
+    
     async cleanupSession(sessionId) {
         try {
             const sessionDir = path.join(this.sessionPath, `session-${sessionId}`);
@@ -294,6 +339,30 @@ class WhatsAppHandler {
         }
     }
     
+    async hasSessionData(sessionId) {
+        // LocalAuth keeps the Chrome profile under session-<id>/Default once the browser has run
+        const profileDir = path.join(this.sessionPath, `session-${sessionId}`, 'Default');
+        
+        try {
+            const stats = await fs.stat(profileDir);
+            return stats.isDirectory();
+        } catch {
+            return false;
+        }
+    }
+    
+    async listStoredSessionIds() {
+        try {
+            const entries = await fs.readdir(this.sessionPath, { withFileTypes: true });
+            return entries
+                .filter(entry => entry.isDirectory() && entry.name.startsWith('session-'))
+                .map(entry => entry.name.substring('session-'.length));
+        } catch (error) {
+            console.error('❌ Failed to list stored sessions:', error);
+            return [];
+        }
+    }
+    
     async cleanupAllSessions() {
         console.log('🧹 Starting cleanup of all sessions...');
         
@@ -308,8 +377,8 @@ class WhatsAppHandler {
     async restartSession(sessionId) {
         console.log(`🔄 Restarting session: ${sessionId}`);
         
-        // Destroy existing session
-        await this.destroySession(sessionId);
+        // Destroy existing session but keep its auth data
+        await this.destroySession(sessionId, { keepAuth: true });
         
         // Wait a bit before recreating
         await new Promise(resolve => setTimeout(resolve, 2000));